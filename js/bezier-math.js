@@ -1,406 +1,2410 @@
-'use strict';
-
-// Cubic bezier curve - B(t) = (1-t)³P₀ + 3(1-t)²tP₁ + 3(1-t)t²P₂ + t³P₃
-class CubicBezier {
-    constructor(p0, p1, p2, p3) {
-        this.p0 = p0;
-        this.p1 = p1;
-        this.p2 = p2;
-        this.p3 = p3;
-    }
-
-    evaluate(t) {
-        t = Math.max(0, Math.min(1, t));
-        
-        const mt = 1 - t;
-        const mt2 = mt * mt;
-        const mt3 = mt2 * mt;
-        const t2 = t * t;
-        const t3 = t2 * t;
-
-        const b0 = mt3;
-        const b1 = 3 * mt2 * t;
-        const b2 = 3 * mt * t2;
-        const b3 = t3;
-
-        return new Vector2D(
-            b0 * this.p0.x + b1 * this.p1.x + b2 * this.p2.x + b3 * this.p3.x,
-            b0 * this.p0.y + b1 * this.p1.y + b2 * this.p2.y + b3 * this.p3.y
-        );
-    }
-
-    derivative(t) {
-        t = Math.max(0, Math.min(1, t));
-        
-        const mt = 1 - t;
-        const mt2 = mt * mt;
-        const t2 = t * t;
-
-        const d0 = this.p1.subtract(this.p0);
-        const d1 = this.p2.subtract(this.p1);
-        const d2 = this.p3.subtract(this.p2);
-
-        return new Vector2D(
-            3 * mt2 * d0.x + 6 * mt * t * d1.x + 3 * t2 * d2.x,
-            3 * mt2 * d0.y + 6 * mt * t * d1.y + 3 * t2 * d2.y
-        );
-    }
-
-    tangent(t) {
-        return this.derivative(t).normalize();
-    }
-
-    secondDerivative(t) {
-        t = Math.max(0, Math.min(1, t));
-        const mt = 1 - t;
-
-        const term1 = new Vector2D(
-            this.p2.x - 2 * this.p1.x + this.p0.x,
-            this.p2.y - 2 * this.p1.y + this.p0.y
-        );
-        const term2 = new Vector2D(
-            this.p3.x - 2 * this.p2.x + this.p1.x,
-            this.p3.y - 2 * this.p2.y + this.p1.y
-        );
-
-        return new Vector2D(
-            6 * mt * term1.x + 6 * t * term2.x,
-            6 * mt * term1.y + 6 * t * term2.y
-        );
-    }
-
-    normal(t) {
-        const tan = this.tangent(t);
-        return new Vector2D(-tan.y, tan.x);
-    }
-
-    curvature(t) {
-        const d1 = this.derivative(t);
-        const d2 = this.secondDerivative(t);
-        const cross = d1.x * d2.y - d1.y * d2.x;
-        const mag = d1.magnitude();
-        const magCubed = mag * mag * mag;
-        if (magCubed < 0.0001) return 0;
-        return Math.abs(cross) / magCubed;
-    }
-
-    sample(segments = 100) {
-        const points = [];
-        for (let i = 0; i <= segments; i++) {
-            points.push(this.evaluate(i / segments));
-        }
-        return points;
-    }
-
-    sampleWithTangents(segments = 100) {
-        const samples = [];
-        for (let i = 0; i <= segments; i++) {
-            const t = i / segments;
-            samples.push({ t, point: this.evaluate(t), tangent: this.tangent(t) });
-        }
-        return samples;
-    }
-
-    getTangentLines(count = 10, length = 30) {
-        const tangents = [];
-        for (let i = 0; i <= count; i++) {
-            const t = i / count;
-            const point = this.evaluate(t);
-            const dir = this.tangent(t);
-            tangents.push({
-                t,
-                start: point,
-                end: point.add(dir.multiply(length)),
-                direction: dir
-            });
-        }
-        return tangents;
-    }
-
-    arcLength(segments = 100) {
-        let length = 0;
-        let prev = this.evaluate(0);
-        for (let i = 1; i <= segments; i++) {
-            const pt = this.evaluate(i / segments);
-            length += prev.distanceTo(pt);
-            prev = pt;
-        }
-        return length;
-    }
-
-    boundingBox(segments = 100) {
-        let minX = Infinity, minY = Infinity;
-        let maxX = -Infinity, maxY = -Infinity;
-        
-        this.sample(segments).forEach(p => {
-            minX = Math.min(minX, p.x);
-            minY = Math.min(minY, p.y);
-            maxX = Math.max(maxX, p.x);
-            maxY = Math.max(maxY, p.y);
-        });
-        
-        return { min: new Vector2D(minX, minY), max: new Vector2D(maxX, maxY) };
-    }
-
-    withUpdates(updates) {
-        return new CubicBezier(
-            updates.p0 || this.p0,
-            updates.p1 || this.p1,
-            updates.p2 || this.p2,
-            updates.p3 || this.p3
-        );
-    }
-
-    getControlPoints() {
-        return [this.p0, this.p1, this.p2, this.p3];
-    }
-}
-
-// Spring physics simulation
-class SpringPhysics {
-    constructor(config = {}) {
-        this.stiffness = config.stiffness ?? 150;
-        this.damping = config.damping ?? 12;
-        this.mass = config.mass ?? 1;
-        this.position = config.initialPosition || new Vector2D(0, 0);
-        this.velocity = new Vector2D(0, 0);
-        this.target = this.position;
-        this.maxVelocity = config.maxVelocity ?? 2000;
-        this.maxDisplacement = config.maxDisplacement ?? 500;
-    }
-
-    setTarget(target) {
-        this.target = target;
-    }
-
-    update(dt) {
-        dt = Math.min(dt, 1/30);
-
-        const displacement = this.position.subtract(this.target);
-        const springForce = displacement.multiply(-this.stiffness);
-        const dampingForce = this.velocity.multiply(-this.damping);
-        const totalForce = springForce.add(dampingForce);
-        const acceleration = totalForce.divide(this.mass);
-
-        this.velocity = this.velocity.add(acceleration.multiply(dt));
-
-        if (this.velocity.magnitude() > this.maxVelocity) {
-            this.velocity = this.velocity.normalize().multiply(this.maxVelocity);
-        }
-
-        this.position = this.position.add(this.velocity.multiply(dt));
-
-        const currentDisp = this.position.subtract(this.target);
-        if (currentDisp.magnitude() > this.maxDisplacement) {
-            this.position = this.target.add(
-                currentDisp.normalize().multiply(this.maxDisplacement)
-            );
-        }
-
-        return this.position;
-    }
-
-    reset(position) {
-        this.position = position;
-        this.velocity = new Vector2D(0, 0);
-        this.target = position;
-    }
-
-    applyImpulse(impulse) {
-        this.velocity = this.velocity.add(impulse.divide(this.mass));
-    }
-
-    kineticEnergy() {
-        return 0.5 * this.mass * this.velocity.magnitudeSquared();
-    }
-
-    potentialEnergy() {
-        const disp = this.position.subtract(this.target);
-        return 0.5 * this.stiffness * disp.magnitudeSquared();
-    }
-
-    totalEnergy() {
-        return this.kineticEnergy() + this.potentialEnergy();
-    }
-
-    isSettled(velThresh = 0.1, dispThresh = 0.1) {
-        return this.velocity.magnitude() < velThresh &&
-               this.position.subtract(this.target).magnitude() < dispThresh;
-    }
-
-    setParameters(params) {
-        if (params.stiffness !== undefined) this.stiffness = params.stiffness;
-        if (params.damping !== undefined) this.damping = params.damping;
-        if (params.mass !== undefined) this.mass = params.mass;
-    }
-}
-
-// Spring-controlled point
-class SpringPoint {
-    constructor(x, y, config = {}) {
-        this.spring = new SpringPhysics({
-            ...config,
-            initialPosition: new Vector2D(x, y)
-        });
-        this.basePosition = new Vector2D(x, y);
-        this.influence = config.influence ?? 1.0;
-    }
-
-    get position() { return this.spring.position; }
-    get x() { return this.spring.position.x; }
-    get y() { return this.spring.position.y; }
-
-    setInputOffset(offset) {
-        const scaled = offset.multiply(this.influence);
-        this.spring.setTarget(this.basePosition.add(scaled));
-    }
-
-    setTarget(position) {
-        this.spring.setTarget(position);
-    }
-
-    update(dt) {
-        return this.spring.update(dt);
-    }
-
-    reset() {
-        this.spring.reset(this.basePosition);
-    }
-
-    setBasePosition(x, y) {
-        this.basePosition = new Vector2D(x, y);
-    }
-
-    setSpringParams(params) {
-        this.spring.setParameters(params);
-        if (params.influence !== undefined) this.influence = params.influence;
-    }
-}
-
-// Main interactive bezier system
-class InteractiveBezier {
-    constructor(config = {}) {
-        this.width = config.width || 800;
-        this.height = config.height || 600;
-
-        this.springConfig = {
-            stiffness: config.stiffness ?? 150,
-            damping: config.damping ?? 12,
-            mass: config.mass ?? 1
-        };
-
-        this.initControlPoints(config);
-        this.curveResolution = config.curveResolution ?? 100;
-        this.tangentCount = config.tangentCount ?? 10;
-        this.tangentLength = config.tangentLength ?? 40;
-        this.lastUpdateTime = performance.now();
-    }
-
-    initControlPoints(config) {
-        const margin = 100;
-
-        this.p0 = config.p0 || new Vector2D(margin, this.height / 2);
-        this.p3 = config.p3 || new Vector2D(this.width - margin, this.height / 2);
-
-        const p1Default = config.p1 || new Vector2D(this.width * 0.33, this.height * 0.25);
-        const p2Default = config.p2 || new Vector2D(this.width * 0.66, this.height * 0.75);
-
-        this.springP1 = new SpringPoint(p1Default.x, p1Default.y, {
-            ...this.springConfig,
-            influence: config.p1Influence ?? 1.0
-        });
-
-        this.springP2 = new SpringPoint(p2Default.x, p2Default.y, {
-            ...this.springConfig,
-            influence: config.p2Influence ?? 0.8
-        });
-    }
-
-    getCurve() {
-        return new CubicBezier(
-            this.p0,
-            this.springP1.position,
-            this.springP2.position,
-            this.p3
-        );
-    }
-
-    setInputOffset(offset) {
-        this.springP1.setInputOffset(offset);
-        this.springP2.setInputOffset(offset.multiply(-0.6));
-    }
-
-    setTargets(p1Target, p2Target) {
-        if (p1Target) this.springP1.setTarget(p1Target);
-        if (p2Target) this.springP2.setTarget(p2Target);
-    }
-
-    update(dt) {
-        if (dt === undefined) {
-            const now = performance.now();
-            dt = (now - this.lastUpdateTime) / 1000;
-            this.lastUpdateTime = now;
-        }
-        this.springP1.update(dt);
-        this.springP2.update(dt);
-    }
-
-    reset() {
-        this.springP1.reset();
-        this.springP2.reset();
-    }
-
-    setSpringParams(params) {
-        this.springP1.setSpringParams(params);
-        this.springP2.setSpringParams(params);
-    }
-
-    getRenderData() {
-        const curve = this.getCurve();
-        return {
-            curve,
-            points: curve.sample(this.curveResolution),
-            tangents: curve.getTangentLines(this.tangentCount, this.tangentLength),
-            controlPoints: {
-                p0: this.p0,
-                p1: this.springP1.position,
-                p2: this.springP2.position,
-                p3: this.p3
-            },
-            springs: {
-                p1Velocity: this.springP1.spring.velocity,
-                p2Velocity: this.springP2.spring.velocity,
-                p1Energy: this.springP1.spring.totalEnergy(),
-                p2Energy: this.springP2.spring.totalEnergy()
-            }
-        };
-    }
-
-    resize(width, height) {
-        const scaleX = width / this.width;
-        const scaleY = height / this.height;
-        this.width = width;
-        this.height = height;
-
-        this.p0 = new Vector2D(this.p0.x * scaleX, this.p0.y * scaleY);
-        this.p3 = new Vector2D(this.p3.x * scaleX, this.p3.y * scaleY);
-
-        this.springP1.setBasePosition(
-            this.springP1.basePosition.x * scaleX,
-            this.springP1.basePosition.y * scaleY
-        );
-        this.springP2.setBasePosition(
-            this.springP2.basePosition.x * scaleX,
-            this.springP2.basePosition.y * scaleY
-        );
-    }
-
-    setEndpoint(index, position) {
-        if (index === 0) this.p0 = position;
-        else if (index === 3) this.p3 = position;
-    }
-}
-
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { CubicBezier, SpringPhysics, SpringPoint, InteractiveBezier };
-}
+'use strict';
+
+// In Node the vector types and Utils come from utils.js instead of page globals
+if (typeof module !== 'undefined' && module.exports && typeof Vector2D === 'undefined') {
+    Object.assign(globalThis, require('./utils.js'));
+}
+
+// Bezier curve of any degree, evaluated with de Casteljau's algorithm.
+// Control points may be Vector2D or Vector3D; only the vector API is used.
+class BezierCurve {
+    constructor(points) {
+        if (!points || points.length === 0) {
+            throw new Error('BezierCurve needs at least one control point');
+        }
+        this.points = points.slice();
+        this.invalidate();
+    }
+
+    get degree() { return this.points.length - 1; }
+
+    // Drops cached hodographs and arc-length tables after a control point changes
+    invalidate() {
+        this.hodographs = [];
+        this.lengthTable = null;
+    }
+
+    // Gauss-Legendre nodes and weights on [-1, 1], found by Newton iteration on Pn
+    static gaussLegendre(n) {
+        if (!this.gaussCache) this.gaussCache = {};
+        if (this.gaussCache[n]) return this.gaussCache[n];
+
+        const nodes = [];
+        const weights = [];
+        for (let i = 0; i < Math.ceil(n / 2); i++) {
+            let x = Math.cos(Math.PI * (i + 0.75) / (n + 0.5));
+            let dp = 1;
+            for (let iter = 0; iter < 100; iter++) {
+                let p0 = 1, p1 = x;
+                for (let k = 2; k <= n; k++) {
+                    const p2 = ((2 * k - 1) * x * p1 - (k - 1) * p0) / k;
+                    p0 = p1;
+                    p1 = p2;
+                }
+                dp = n * (x * p1 - p0) / (x * x - 1);
+                const dx = p1 / dp;
+                x -= dx;
+                if (Math.abs(dx) < 1e-15) break;
+            }
+            const w = 2 / ((1 - x * x) * dp * dp);
+            nodes.push(x, -x);
+            weights.push(w, w);
+        }
+        if (n % 2 === 1) {
+            nodes.pop();
+            weights.pop();
+        }
+
+        this.gaussCache[n] = { nodes, weights };
+        return this.gaussCache[n];
+    }
+
+    // ∫ |B'(t)| dt over [a, b]
+    integrateSpeed(a, b, order = 16) {
+        const { nodes, weights } = BezierCurve.gaussLegendre(order);
+        const half = (b - a) / 2;
+        const mid = (a + b) / 2;
+        let sum = 0;
+        for (let i = 0; i < nodes.length; i++) {
+            sum += weights[i] * this.derivative(mid + half * nodes[i]).magnitude();
+        }
+        return sum * half;
+    }
+
+    // Repeated linear interpolation - numerically stable for any degree
+    static deCasteljau(points, t) {
+        let level = points.slice();
+        while (level.length > 1) {
+            const next = [];
+            for (let i = 0; i < level.length - 1; i++) {
+                next.push(level[i].add(level[i + 1].subtract(level[i]).multiply(t)));
+            }
+            level = next;
+        }
+        return level[0];
+    }
+
+    evaluate(t) {
+        t = Math.max(0, Math.min(1, t));
+        return BezierCurve.deCasteljau(this.points, t);
+    }
+
+    // Derivative curve of the given order: n(P[i+1] - P[i]), applied repeatedly
+    hodograph(order = 1) {
+        if (order < 1) return this;
+        if (!this.hodographs[order]) {
+            const prev = this.hodograph(order - 1);
+            const n = prev.degree;
+            const pts = [];
+            for (let i = 0; i < n; i++) {
+                pts.push(prev.points[i + 1].subtract(prev.points[i]).multiply(n));
+            }
+            if (pts.length === 0) pts.push(prev.points[0].multiply(0));
+            this.hodographs[order] = new BezierCurve(pts);
+        }
+        return this.hodographs[order];
+    }
+
+    derivative(t, order = 1) {
+        return this.hodograph(order).evaluate(t);
+    }
+
+    secondDerivative(t) {
+        return this.derivative(t, 2);
+    }
+
+    tangent(t) {
+        return this.derivative(t).normalize();
+    }
+
+    normal(t) {
+        const tan = this.tangent(t);
+        return new Vector2D(-tan.y, tan.x);
+    }
+
+    // Positive when the curve turns towards normal(t)
+    signedCurvature(t) {
+        const d1 = this.derivative(t);
+        const d2 = this.secondDerivative(t);
+        const cross = d1.x * d2.y - d1.y * d2.x;
+        const mag = d1.magnitude();
+        const magCubed = mag * mag * mag;
+        if (magCubed < 0.0001) return 0;
+        return cross / magCubed;
+    }
+
+    curvature(t) {
+        return Math.abs(this.signedCurvature(t));
+    }
+
+    sample(segments = 100) {
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            points.push(this.evaluate(i / segments));
+        }
+        return points;
+    }
+
+    sampleWithTangents(segments = 100) {
+        const samples = [];
+        for (let i = 0; i <= segments; i++) {
+            const t = i / segments;
+            samples.push({ t, point: this.evaluate(t), tangent: this.tangent(t) });
+        }
+        return samples;
+    }
+
+    // Also accepts a single options object: { count, length, spacing }.
+    // spacing 'arc' places the lines evenly by distance along the curve.
+    getTangentLines(count = 10, length = 30, options = {}) {
+        if (typeof count === 'object') {
+            options = count;
+            count = options.count ?? 10;
+            length = options.length ?? 30;
+        }
+        const params = options.spacing === 'arc'
+            ? this.parametersByArcLength(count)
+            : Array.from({ length: count + 1 }, (_, i) => i / count);
+
+        const tangents = [];
+        for (const t of params) {
+            const point = this.evaluate(t);
+            const dir = this.tangent(t);
+            tangents.push({
+                t,
+                start: point,
+                end: point.add(dir.multiply(length)),
+                direction: dir
+            });
+        }
+        return tangents;
+    }
+
+    // Length of the curve from 0 to t, by composite Gauss-Legendre quadrature
+    arcLength(t = 1) {
+        t = Math.max(0, Math.min(1, t));
+        const intervals = 4;
+        let length = 0;
+        for (let i = 0; i < intervals; i++) {
+            length += this.integrateSpeed(t * i / intervals, t * (i + 1) / intervals);
+        }
+        return length;
+    }
+
+    // Cumulative lengths at evenly spaced t, cached until the curve changes
+    arcLengthTable(samples = 32) {
+        if (this.lengthTable && this.lengthTable.length === samples + 1) return this.lengthTable;
+
+        const table = [{ t: 0, length: 0 }];
+        for (let i = 1; i <= samples; i++) {
+            const t = i / samples;
+            const length = table[i - 1].length + this.integrateSpeed((i - 1) / samples, t, 8);
+            table.push({ t, length });
+        }
+        this.lengthTable = table;
+        return table;
+    }
+
+    // Inverse of arcLength(): the t at which the curve has covered `length`.
+    // Looks up the bracketing table entry then refines with safeguarded Newton.
+    tAtLength(length) {
+        const table = this.arcLengthTable();
+        const total = table[table.length - 1].length;
+        if (length <= 0 || total === 0) return 0;
+        if (length >= total) return 1;
+
+        let lo = 0, hi = table.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (table[mid].length < length) lo = mid;
+            else hi = mid;
+        }
+
+        const a = table[lo], b = table[hi];
+        let tMin = a.t, tMax = b.t;
+        let t = a.t + (b.t - a.t) * (length - a.length) / (b.length - a.length);
+
+        for (let iter = 0; iter < 8; iter++) {
+            const error = a.length + this.integrateSpeed(a.t, t, 8) - length;
+            if (Math.abs(error) < 1e-6) break;
+            if (error > 0) tMax = t;
+            else tMin = t;
+
+            const speed = this.derivative(t).magnitude();
+            let next = speed > 1e-9 ? t - error / speed : NaN;
+            if (!(next > tMin && next < tMax)) next = (tMin + tMax) / 2;
+            t = next;
+        }
+        return t;
+    }
+
+    parametersByArcLength(segments = 100) {
+        const total = this.arcLength();
+        const params = [];
+        for (let i = 0; i <= segments; i++) {
+            params.push(this.tAtLength(total * i / segments));
+        }
+        return params;
+    }
+
+    // Like sample(), but consecutive points are equally far apart along the curve
+    sampleByArcLength(segments = 100) {
+        return this.parametersByArcLength(segments).map(t => this.evaluate(t));
+    }
+
+    boundingBox(segments = 100) {
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+        
+        this.sample(segments).forEach(p => {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        });
+        
+        return { min: new Vector2D(minX, minY), max: new Vector2D(maxX, maxY) };
+    }
+
+    // Same curve, one degree higher: Q[i] = i/(n+1) P[i-1] + (1 - i/(n+1)) P[i]
+    elevate() {
+        const n = this.degree;
+        const pts = [this.points[0]];
+        for (let i = 1; i <= n; i++) {
+            const a = i / (n + 1);
+            pts.push(this.points[i - 1].multiply(a).add(this.points[i].multiply(1 - a)));
+        }
+        pts.push(this.points[n]);
+        return new BezierCurve(pts);
+    }
+
+    // One degree lower. Blends the forward and backward inversions of elevate(),
+    // so it is exact for curves that were elevated and a close fit otherwise.
+    reduce() {
+        const n = this.degree;
+        if (n < 1) return new BezierCurve(this.points);
+
+        const m = n - 1;
+        const P = this.points;
+        const forward = [P[0]];
+        for (let i = 1; i <= m; i++) {
+            forward.push(P[i].multiply(n).subtract(forward[i - 1].multiply(i)).divide(n - i));
+        }
+        const backward = [];
+        backward[m] = P[n];
+        for (let i = m; i >= 1; i--) {
+            backward[i - 1] = P[i].multiply(n).subtract(backward[i].multiply(n - i)).divide(i);
+        }
+
+        const pts = [];
+        for (let i = 0; i <= m; i++) {
+            if (i < m / 2) pts.push(forward[i]);
+            else if (i > m / 2) pts.push(backward[i]);
+            else pts.push(forward[i].add(backward[i]).multiply(0.5));
+        }
+        return new BezierCurve(pts);
+    }
+
+    // Splits at t into two curves of the same degree that together trace this one exactly.
+    // The left curve's control points are the first point of each de Casteljau level,
+    // the right curve's the last point of each level.
+    split(t) {
+        t = Math.max(0, Math.min(1, t));
+        const left = [];
+        const right = [];
+        let level = this.points.slice();
+        while (level.length > 0) {
+            left.push(level[0]);
+            right.unshift(level[level.length - 1]);
+            const next = [];
+            for (let i = 0; i < level.length - 1; i++) {
+                next.push(level[i].add(level[i + 1].subtract(level[i]).multiply(t)));
+            }
+            level = next;
+        }
+        return [this.withPoints(left), this.withPoints(right)];
+    }
+
+    // The part of the curve between t0 and t1, reparameterized over [0, 1]
+    subCurve(t0, t1) {
+        t0 = Math.max(0, Math.min(1, t0));
+        t1 = Math.max(0, Math.min(1, t1));
+        if (t0 > t1) [t0, t1] = [t1, t0];
+        if (t1 === 0) return this.split(0)[0];
+
+        const head = this.split(t1)[0];
+        return head.split(t0 / t1)[1];
+    }
+
+    // The part of the curve between two distances measured along it from the start
+    trimByLength(startLength, endLength = Infinity) {
+        return this.subCurve(this.tAtLength(startLength), this.tAtLength(endLength));
+    }
+
+    withPoints(points) {
+        return new BezierCurve(points);
+    }
+
+    getControlPoints() {
+        return this.points.slice();
+    }
+}
+
+// Cubic bezier curve - B(t) = (1-t)³P₀ + 3(1-t)²tP₁ + 3(1-t)t²P₂ + t³P₃
+// Keeps the closed-form Bernstein evaluation as a fast path.
+class CubicBezier extends BezierCurve {
+    constructor(p0, p1, p2, p3) {
+        super([p0, p1, p2, p3]);
+    }
+
+    get p0() { return this.points[0]; }
+    set p0(v) { this.points[0] = v; this.invalidate(); }
+    get p1() { return this.points[1]; }
+    set p1(v) { this.points[1] = v; this.invalidate(); }
+    get p2() { return this.points[2]; }
+    set p2(v) { this.points[2] = v; this.invalidate(); }
+    get p3() { return this.points[3]; }
+    set p3(v) { this.points[3] = v; this.invalidate(); }
+
+    evaluate(t) {
+        t = Math.max(0, Math.min(1, t));
+        
+        const mt = 1 - t;
+        const mt2 = mt * mt;
+        const mt3 = mt2 * mt;
+        const t2 = t * t;
+        const t3 = t2 * t;
+
+        const b0 = mt3;
+        const b1 = 3 * mt2 * t;
+        const b2 = 3 * mt * t2;
+        const b3 = t3;
+
+        return new Vector2D(
+            b0 * this.p0.x + b1 * this.p1.x + b2 * this.p2.x + b3 * this.p3.x,
+            b0 * this.p0.y + b1 * this.p1.y + b2 * this.p2.y + b3 * this.p3.y
+        );
+    }
+
+    derivative(t, order = 1) {
+        if (order !== 1) return super.derivative(t, order);
+        t = Math.max(0, Math.min(1, t));
+        
+        const mt = 1 - t;
+        const mt2 = mt * mt;
+        const t2 = t * t;
+
+        const d0 = this.p1.subtract(this.p0);
+        const d1 = this.p2.subtract(this.p1);
+        const d2 = this.p3.subtract(this.p2);
+
+        return new Vector2D(
+            3 * mt2 * d0.x + 6 * mt * t * d1.x + 3 * t2 * d2.x,
+            3 * mt2 * d0.y + 6 * mt * t * d1.y + 3 * t2 * d2.y
+        );
+    }
+
+    secondDerivative(t) {
+        t = Math.max(0, Math.min(1, t));
+        const mt = 1 - t;
+
+        const term1 = new Vector2D(
+            this.p2.x - 2 * this.p1.x + this.p0.x,
+            this.p2.y - 2 * this.p1.y + this.p0.y
+        );
+        const term2 = new Vector2D(
+            this.p3.x - 2 * this.p2.x + this.p1.x,
+            this.p3.y - 2 * this.p2.y + this.p1.y
+        );
+
+        return new Vector2D(
+            6 * mt * term1.x + 6 * t * term2.x,
+            6 * mt * term1.y + 6 * t * term2.y
+        );
+    }
+
+    // Parameters in (0, 1) where x'(t) or y'(t) vanish. Each derivative component
+    // is the quadratic 3[(a - 2b + c)t² + 2(b - a)t + a] with a, b, c the control deltas.
+    extrema() {
+        const axisRoots = axis => {
+            const a = this.p1[axis] - this.p0[axis];
+            const b = this.p2[axis] - this.p1[axis];
+            const c = this.p3[axis] - this.p2[axis];
+            return Utils.quadraticRoots(a - 2 * b + c, 2 * (b - a), a)
+                .filter(t => t > 0 && t < 1)
+                .sort((m, n) => m - n);
+        };
+        return { x: axisRoots('x'), y: axisRoots('y') };
+    }
+
+    // Exact axis-aligned bounds from the endpoints and the derivative roots
+    boundingBox() {
+        const ext = this.extrema();
+        let minX = Math.min(this.p0.x, this.p3.x), maxX = Math.max(this.p0.x, this.p3.x);
+        let minY = Math.min(this.p0.y, this.p3.y), maxY = Math.max(this.p0.y, this.p3.y);
+
+        ext.x.forEach(t => {
+            const x = this.evaluate(t).x;
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+        });
+        ext.y.forEach(t => {
+            const y = this.evaluate(t).y;
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        });
+
+        return { min: new Vector2D(minX, minY), max: new Vector2D(maxX, maxY) };
+    }
+
+    orientedBoundingBox() {
+        return CubicBezier.orientedBoundingBoxOf([this]);
+    }
+
+    // Offset curves are not polynomial, so the offset is approximated piecewise: each
+    // piece moves its ends along the normal and scales its handles by the offset
+    // curve's speed ratio (1 - dκ). Pieces further than tolerance from the true
+    // offset distance are halved and retried.
+    offset(distance, tolerance = 0.5) {
+        const ext = this.extrema();
+        const cuts = [0, ...ext.x, ...ext.y, 1].sort((m, n) => m - n)
+            .filter((t, i, all) => i === 0 || t - all[i - 1] > 1e-6);
+        const result = [];
+
+        const build = (t0, t1, depth) => {
+            const piece = this.subCurve(t0, t1);
+            const approx = piece.offsetPiece(distance);
+            if (!approx) return;
+
+            const error = Math.max(...[0.25, 0.5, 0.75].map(s =>
+                Math.abs(piece.project(approx.evaluate(s)).distance - Math.abs(distance))
+            ));
+            if (error > tolerance && depth < 8) {
+                const tm = (t0 + t1) / 2;
+                build(t0, tm, depth + 1);
+                build(tm, t1, depth + 1);
+            } else {
+                result.push(approx);
+            }
+        };
+
+        for (let i = 0; i < cuts.length - 1; i++) build(cuts[i], cuts[i + 1], 0);
+        return result;
+    }
+
+    offsetPiece(distance) {
+        const { p0, p1, p2, p3 } = this;
+        const startDir = [p1, p2, p3].map(p => p.subtract(p0)).find(v => v.magnitude() > 1e-9);
+        const endDir = [p2, p1, p0].map(p => p3.subtract(p)).find(v => v.magnitude() > 1e-9);
+        if (!startDir) return null;
+
+        const normalOf = dir => new Vector2D(-dir.y, dir.x).normalize();
+        const q0 = p0.add(normalOf(startDir).multiply(distance));
+        const q3 = p3.add(normalOf(endDir).multiply(distance));
+        const k0 = Math.max(0, 1 - distance * this.signedCurvature(0));
+        const k1 = Math.max(0, 1 - distance * this.signedCurvature(1));
+
+        return new CubicBezier(q0, q0.add(p1.subtract(p0).multiply(k0)), q3.add(p2.subtract(p3).multiply(k1)), q3);
+    }
+
+    // Inflections are where B' × B'' changes sign. With the power basis the cubic
+    // terms cancel, leaving -6(a×b)t² + 6(c×a)t + 2(c×b).
+    inflections() {
+        const { a, b, c } = this.powerCoefficients();
+        const cross = (u, v) => u.x * v.y - u.y * v.x;
+        return Utils.polynomialRoots([2 * cross(c, b), 6 * cross(c, a), -6 * cross(a, b)], 0, 1)
+            .filter(t => t > 1e-6 && t < 1 - 1e-6);
+    }
+
+    // Stone–DeRose canonical form: the affine map sending P0, P1, P2 to (0,0), (0,1),
+    // (1,1) preserves the curve's shape class, which is then read off from where P3
+    // lands. Writing P3 - P0 = α(P1 - P0) + β(P2 - P1) puts P3 at (β, α).
+    static canonicalPoint(p0, p1, p2, p3) {
+        const cross = (u, v) => u.x * v.y - u.y * v.x;
+        const u = p1.subtract(p0);
+        const v = p2.subtract(p1);
+        const w = p3.subtract(p0);
+        const det = cross(u, v);
+        if (Math.abs(det) < 1e-9 * (u.magnitude() * v.magnitude() || 1)) return null;
+        return new Vector2D(cross(u, w) / det, cross(w, v) / det);
+    }
+
+    // Region boundaries of the canonical diagram, as functions of x
+    static canonicalCusp(x) {
+        return (-x * x + 2 * x + 3) / 4;
+    }
+
+    static canonicalLoopBoundary(x) {
+        return x <= 0 ? (-x * x + 3 * x) / 3 : (Math.sqrt(3 * (4 * x - x * x)) - x) / 2;
+    }
+
+    static classifyCanonical(point, tolerance = 0.01) {
+        const { x, y } = point;
+        if (y > 1) return 'single-inflection';
+        if (x > 1) return 'arch';
+
+        const cusp = CubicBezier.canonicalCusp(x);
+        if (Math.abs(y - cusp) < tolerance) return 'cusp';
+        if (y > cusp) return 'double-inflection';
+        return y >= CubicBezier.canonicalLoopBoundary(x) ? 'loop' : 'arch';
+    }
+
+    // Curve type plus its inflection parameters. The class is symmetric under
+    // reversal, so a collinear P0, P1, P2 falls back to the reversed curve.
+    classify() {
+        const { p0, p1, p2, p3 } = this;
+        let canonical = CubicBezier.canonicalPoint(p0, p1, p2, p3);
+        if (!canonical) canonical = CubicBezier.canonicalPoint(p3, p2, p1, p0);
+
+        return {
+            type: canonical ? CubicBezier.classifyCanonical(canonical) : 'degenerate',
+            canonical,
+            inflections: this.inflections()
+        };
+    }
+
+    // Power-basis form B(t) = a t³ + b t² + c t + d
+    powerCoefficients() {
+        const { p0, p1, p2, p3 } = this;
+        return {
+            a: p3.subtract(p2.multiply(3)).add(p1.multiply(3)).subtract(p0),
+            b: p2.subtract(p1.multiply(2)).add(p0).multiply(3),
+            c: p1.subtract(p0).multiply(3),
+            d: p0
+        };
+    }
+
+    // Closest point on the curve. Minimizing |B(t) - P|² means solving the quintic
+    // (B(t) - P)·B'(t) = 0; its roots in [0, 1] and the endpoints are the candidates.
+    project(point) {
+        const { a, b, c, d } = this.powerCoefficients();
+        const e = d.subtract(point);
+        const quintic = [0, 0, 0, 0, 0, 0];
+
+        ['x', 'y'].forEach(axis => {
+            const pos = [e[axis], c[axis], b[axis], a[axis]];
+            const vel = [c[axis], 2 * b[axis], 3 * a[axis]];
+            pos.forEach((pv, i) => vel.forEach((vv, j) => { quintic[i + j] += pv * vv; }));
+        });
+
+        const candidates = [0, 1, ...Utils.polynomialRoots(quintic, 0, 1)];
+        let best = null;
+        for (const t of candidates) {
+            const p = this.evaluate(t);
+            const distance = p.distanceTo(point);
+            if (!best || distance < best.distance) best = { t, point: p, distance };
+        }
+        return best;
+    }
+
+    // Rotating the line onto the x-axis turns the problem into the roots of y(t).
+    // u is the parameter along the line, kept to [0, 1] unless the line is infinite.
+    intersectLine(lineStart, lineEnd, infinite = false) {
+        const dir = lineEnd.subtract(lineStart);
+        const lengthSq = dir.dot(dir);
+        if (lengthSq === 0) return [];
+
+        const { a, b, c, d } = this.powerCoefficients();
+        const normal = new Vector2D(-dir.y, dir.x);
+        const cubic = [d.subtract(lineStart).dot(normal), c.dot(normal), b.dot(normal), a.dot(normal)];
+
+        return Utils.polynomialRoots(cubic, 0, 1)
+            .map(t => {
+                const point = this.evaluate(t);
+                return { t, u: point.subtract(lineStart).dot(dir) / lengthSq, point };
+            })
+            .filter(hit => infinite || (hit.u >= -1e-9 && hit.u <= 1 + 1e-9));
+    }
+
+    intersect(other, tolerance = 0.01) {
+        return CubicBezier.intersectCurves(this, other, tolerance);
+    }
+
+    // Subdivision: halve both curves while their control-point boxes overlap (the
+    // curve lies inside its control hull), until both boxes shrink below tolerance.
+    static intersectCurves(curveA, curveB, tolerance = 0.01) {
+        const hits = [];
+        const bounds = curve => {
+            const xs = curve.points.map(p => p.x);
+            const ys = curve.points.map(p => p.y);
+            return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+        };
+
+        const recurse = (a, t0, t1, b, u0, u1, depth) => {
+            const ba = bounds(a);
+            const bb = bounds(b);
+            if (ba.maxX < bb.minX || bb.maxX < ba.minX || ba.maxY < bb.minY || bb.maxY < ba.minY) return;
+            if (hits.length > 64) return;
+
+            const sizeA = Math.max(ba.maxX - ba.minX, ba.maxY - ba.minY);
+            const sizeB = Math.max(bb.maxX - bb.minX, bb.maxY - bb.minY);
+            if ((sizeA < tolerance && sizeB < tolerance) || depth > 40) {
+                const t = (t0 + t1) / 2;
+                const u = (u0 + u1) / 2;
+                const paramTolerance = Math.max(t1 - t0, u1 - u0) * 4;
+                if (!hits.some(h => Math.abs(h.t - t) < paramTolerance && Math.abs(h.u - u) < paramTolerance)) {
+                    hits.push({ t, u, point: curveA.evaluate(t) });
+                }
+                return;
+            }
+
+            const tm = (t0 + t1) / 2;
+            const um = (u0 + u1) / 2;
+            const [a1, a2] = a.split(0.5);
+            const [b1, b2] = b.split(0.5);
+            recurse(a1, t0, tm, b1, u0, um, depth + 1);
+            recurse(a1, t0, tm, b2, um, u1, depth + 1);
+            recurse(a2, tm, t1, b1, u0, um, depth + 1);
+            recurse(a2, tm, t1, b2, um, u1, depth + 1);
+        };
+
+        recurse(curveA, 0, 1, curveB, 0, 1, 0);
+        return hits.sort((h1, h2) => h1.t - h2.t);
+    }
+
+    // Pieces that are monotone in x and y cannot cross themselves, and neighbouring
+    // pieces only meet at their shared end, so only non-adjacent pairs are tested.
+    selfIntersections(tolerance = 0.01) {
+        const ext = this.extrema();
+        const cuts = [0, ...ext.x, ...ext.y, 1].sort((m, n) => m - n)
+            .filter((t, i, all) => i === 0 || t - all[i - 1] > 1e-9);
+        const hits = [];
+
+        for (let i = 0; i < cuts.length - 1; i++) {
+            for (let j = i + 2; j < cuts.length - 1; j++) {
+                const pieceA = this.subCurve(cuts[i], cuts[i + 1]);
+                const pieceB = this.subCurve(cuts[j], cuts[j + 1]);
+                CubicBezier.intersectCurves(pieceA, pieceB, tolerance).forEach(hit => {
+                    hits.push({
+                        t: Utils.lerp(cuts[i], cuts[i + 1], hit.t),
+                        u: Utils.lerp(cuts[j], cuts[j + 1], hit.u),
+                        point: hit.point
+                    });
+                });
+            }
+        }
+        return hits;
+    }
+
+    // Minimum-area rectangle around a set of cubics. Candidate orientations come
+    // from the edges of the sampled convex hull; for each, the exact bounds of
+    // the rotated curves give the extent, so the box never clips the curve.
+    static orientedBoundingBoxOf(curves) {
+        const hull = Utils.convexHull([].concat(...curves.map(c => c.sample(64))));
+        const angles = [0];
+        for (let i = 0; i < hull.length; i++) {
+            const edge = hull[(i + 1) % hull.length].subtract(hull[i]);
+            if (edge.magnitudeSquared() > 1e-9) angles.push(edge.angle());
+        }
+
+        let best = null;
+        for (const angle of angles) {
+            const boxes = curves.map(c => new CubicBezier(
+                c.p0.rotate(-angle), c.p1.rotate(-angle), c.p2.rotate(-angle), c.p3.rotate(-angle)
+            ).boundingBox());
+            const min = new Vector2D(Math.min(...boxes.map(b => b.min.x)), Math.min(...boxes.map(b => b.min.y)));
+            const max = new Vector2D(Math.max(...boxes.map(b => b.max.x)), Math.max(...boxes.map(b => b.max.y)));
+            const area = (max.x - min.x) * (max.y - min.y);
+            if (!best || area < best.area) best = { angle, min, max, area };
+        }
+
+        const { angle, min, max } = best;
+        const corners = [
+            new Vector2D(min.x, min.y), new Vector2D(max.x, min.y),
+            new Vector2D(max.x, max.y), new Vector2D(min.x, max.y)
+        ].map(p => p.rotate(angle));
+
+        return {
+            center: min.add(max).multiply(0.5).rotate(angle),
+            width: max.x - min.x,
+            height: max.y - min.y,
+            angle,
+            area: best.area,
+            corners
+        };
+    }
+
+    // Least-squares inner control points for a cubic from p0 to p3 through
+    // `points` (first and last included), parameterised by chord length.
+    // Works on 2D and 3D points alike; returns [p1, p2].
+    static fitHandles(points, p0, p3) {
+        const lengths = [0];
+        for (let i = 1; i < points.length; i++) {
+            lengths.push(lengths[i - 1] + points[i].distanceTo(points[i - 1]));
+        }
+        const total = lengths[lengths.length - 1];
+        const thirds = [p0.multiply(2 / 3).add(p3.multiply(1 / 3)), p0.multiply(1 / 3).add(p3.multiply(2 / 3))];
+        if (total === 0) return thirds;
+
+        let a11 = 0, a12 = 0, a22 = 0;
+        let r1 = p0.multiply(0), r2 = p0.multiply(0);
+        points.forEach((point, i) => {
+            const t = lengths[i] / total;
+            const mt = 1 - t;
+            const b0 = mt * mt * mt, b1 = 3 * mt * mt * t, b2 = 3 * mt * t * t, b3 = t * t * t;
+            const residual = point.subtract(p0.multiply(b0)).subtract(p3.multiply(b3));
+            a11 += b1 * b1;
+            a12 += b1 * b2;
+            a22 += b2 * b2;
+            r1 = r1.add(residual.multiply(b1));
+            r2 = r2.add(residual.multiply(b2));
+        });
+
+        const det = a11 * a22 - a12 * a12;
+        if (Math.abs(det) < 1e-12) return thirds;
+        return [
+            r1.multiply(a22).subtract(r2.multiply(a12)).divide(det),
+            r2.multiply(a11).subtract(r1.multiply(a12)).divide(det)
+        ];
+    }
+
+    // [x1, y1, x2, y2] of a CSS cubic-bezier() timing function with the same
+    // shape: P0 maps to (0, 0) and P3 to (1, 1). Null when P0 and P3 share an x or
+    // y, or when a handle falls outside 0 <= x <= 1, which CSS does not allow.
+    timingFunction() {
+        const size = this.p3.subtract(this.p0);
+        if (Math.abs(size.x) < 1e-9 || Math.abs(size.y) < 1e-9) return null;
+
+        const normalize = p => [(p.x - this.p0.x) / size.x, (p.y - this.p0.y) / size.y];
+        const [x1, y1] = normalize(this.p1);
+        const [x2, y2] = normalize(this.p2);
+        if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) return null;
+        return [x1, y1, x2, y2];
+    }
+
+    // Parameter at which the curve reaches x, for curves whose x runs monotonically
+    // from P0 to P3 as timing functions do. Newton's method from the linear guess
+    // usually lands in a few steps; bisection takes over where x'(t) nearly
+    // vanishes or an iterate leaves [0, 1].
+    solveTForX(x, epsilon = 1e-7) {
+        const x0 = this.p0.x;
+        const x3 = this.p3.x;
+        if ((x - x0) * (x3 - x0) <= 0) return 0;
+        if ((x - x3) * (x0 - x3) <= 0) return 1;
+
+        let t = (x - x0) / (x3 - x0);
+        for (let i = 0; i < 8; i++) {
+            const error = this.evaluate(t).x - x;
+            if (Math.abs(error) < epsilon) return t;
+            const slope = this.derivative(t).x;
+            if (Math.abs(slope) < 1e-6) break;
+            t -= error / slope;
+            if (t < 0 || t > 1) break;
+        }
+
+        const increasing = x3 > x0;
+        let lo = 0;
+        let hi = 1;
+        while (hi - lo > epsilon) {
+            t = (lo + hi) / 2;
+            if ((this.evaluate(t).x < x) === increasing) lo = t;
+            else hi = t;
+        }
+        return (lo + hi) / 2;
+    }
+
+    // y as a function of x, the eased progress of a timing function
+    yAtX(x) {
+        return this.evaluate(this.solveTForX(x)).y;
+    }
+
+    // Curve from (0, 0) to (1, 1) for CSS cubic-bezier(x1, y1, x2, y2) values
+    static fromTimingFunction([x1, y1, x2, y2]) {
+        return new CubicBezier(new Vector2D(0, 0), new Vector2D(x1, y1), new Vector2D(x2, y2), new Vector2D(1, 1));
+    }
+
+    withPoints(points) {
+        return new CubicBezier(points[0], points[1], points[2], points[3]);
+    }
+
+    withUpdates(updates) {
+        return new CubicBezier(
+            updates.p0 || this.p0,
+            updates.p1 || this.p1,
+            updates.p2 || this.p2,
+            updates.p3 || this.p3
+        );
+    }
+}
+
+// The CSS named timing functions as cubic-bezier() values
+CubicBezier.easings = {
+    linear: [0, 0, 1, 1],
+    ease: [0.25, 0.1, 0.25, 1],
+    'ease-in': [0.42, 0, 1, 1],
+    'ease-out': [0, 0, 0.58, 1],
+    'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+// Cubic bezier curve in space, with the Frenet frame quantities that only make sense in 3D
+class CubicBezier3D extends BezierCurve {
+    constructor(p0, p1, p2, p3) {
+        super([p0, p1, p2, p3]);
+    }
+
+    get p0() { return this.points[0]; }
+    set p0(v) { this.points[0] = v; this.invalidate(); }
+    get p1() { return this.points[1]; }
+    set p1(v) { this.points[1] = v; this.invalidate(); }
+    get p2() { return this.points[2]; }
+    set p2(v) { this.points[2] = v; this.invalidate(); }
+    get p3() { return this.points[3]; }
+    set p3(v) { this.points[3] = v; this.invalidate(); }
+
+    evaluate(t) {
+        t = Math.max(0, Math.min(1, t));
+
+        const mt = 1 - t;
+        const b0 = mt * mt * mt;
+        const b1 = 3 * mt * mt * t;
+        const b2 = 3 * mt * t * t;
+        const b3 = t * t * t;
+
+        return new Vector3D(
+            b0 * this.p0.x + b1 * this.p1.x + b2 * this.p2.x + b3 * this.p3.x,
+            b0 * this.p0.y + b1 * this.p1.y + b2 * this.p2.y + b3 * this.p3.y,
+            b0 * this.p0.z + b1 * this.p1.z + b2 * this.p2.z + b3 * this.p3.z
+        );
+    }
+
+    derivative(t, order = 1) {
+        if (order !== 1) return super.derivative(t, order);
+        t = Math.max(0, Math.min(1, t));
+        const mt = 1 - t;
+
+        const d0 = this.p1.subtract(this.p0);
+        const d1 = this.p2.subtract(this.p1);
+        const d2 = this.p3.subtract(this.p2);
+
+        return d0.multiply(3 * mt * mt)
+            .add(d1.multiply(6 * mt * t))
+            .add(d2.multiply(3 * t * t));
+    }
+
+    secondDerivative(t) {
+        t = Math.max(0, Math.min(1, t));
+        const mt = 1 - t;
+
+        const term1 = this.p2.subtract(this.p1.multiply(2)).add(this.p0);
+        const term2 = this.p3.subtract(this.p2.multiply(2)).add(this.p1);
+
+        return term1.multiply(6 * mt).add(term2.multiply(6 * t));
+    }
+
+    // Constant for a cubic: 6(P₃ - 3P₂ + 3P₁ - P₀)
+    thirdDerivative() {
+        return this.p3
+            .subtract(this.p2.multiply(3))
+            .add(this.p1.multiply(3))
+            .subtract(this.p0)
+            .multiply(6);
+    }
+
+    binormal(t) {
+        const d1 = this.derivative(t);
+        const b = d1.cross(this.secondDerivative(t));
+        if (b.magnitudeSquared() > 1e-12) return b.normalize();
+
+        // Straight or degenerate section: pick any direction perpendicular to the tangent
+        const tan = d1.normalize();
+        const axis = Math.abs(tan.y) < 0.9 ? new Vector3D(0, 1, 0) : new Vector3D(1, 0, 0);
+        return tan.cross(axis).normalize();
+    }
+
+    // Principal normal, pointing towards the centre of curvature
+    normal(t) {
+        return this.binormal(t).cross(this.tangent(t)).normalize();
+    }
+
+    frame(t) {
+        const tangent = this.tangent(t);
+        const binormal = this.binormal(t);
+        return {
+            point: this.evaluate(t),
+            tangent,
+            normal: binormal.cross(tangent).normalize(),
+            binormal
+        };
+    }
+
+    curvature(t) {
+        const d1 = this.derivative(t);
+        const cross = d1.cross(this.secondDerivative(t));
+        const mag = d1.magnitude();
+        const magCubed = mag * mag * mag;
+        if (magCubed < 0.0001) return 0;
+        return cross.magnitude() / magCubed;
+    }
+
+    torsion(t) {
+        const cross = this.derivative(t).cross(this.secondDerivative(t));
+        const magSq = cross.magnitudeSquared();
+        if (magSq < 1e-8) return 0;
+        return cross.dot(this.thirdDerivative()) / magSq;
+    }
+
+    withPoints(points) {
+        return new CubicBezier3D(points[0], points[1], points[2], points[3]);
+    }
+
+    withUpdates(updates) {
+        return new CubicBezier3D(
+            updates.p0 || this.p0,
+            updates.p1 || this.p1,
+            updates.p2 || this.p2,
+            updates.p3 || this.p3
+        );
+    }
+}
+
+// Chain of bezier segments joined end to end. The global parameter u runs over
+// [0, 1] with each segment taking an equal share of it.
+class BezierSpline {
+    constructor(segments) {
+        this.segments = segments;
+    }
+
+    get segmentCount() { return this.segments.length; }
+
+    locate(u) {
+        const n = this.segments.length;
+        const scaled = Math.max(0, Math.min(1, u)) * n;
+        const index = Math.min(Math.floor(scaled), n - 1);
+        return { index, t: scaled - index };
+    }
+
+    evaluate(u) {
+        const { index, t } = this.locate(u);
+        return this.segments[index].evaluate(t);
+    }
+
+    derivative(u) {
+        const { index, t } = this.locate(u);
+        return this.segments[index].derivative(t).multiply(this.segments.length);
+    }
+
+    tangent(u) {
+        const { index, t } = this.locate(u);
+        return this.segments[index].tangent(t);
+    }
+
+    curvature(u) {
+        const { index, t } = this.locate(u);
+        return this.segments[index].curvature(t);
+    }
+
+    // Resolution is per segment; shared joint points are only emitted once
+    sample(segmentsPerCurve = 100) {
+        const points = [];
+        this.segments.forEach((seg, i) => {
+            const pts = seg.sample(segmentsPerCurve);
+            points.push(...(i === 0 ? pts : pts.slice(1)));
+        });
+        return points;
+    }
+
+    // With spacing 'arc' the lines are spread evenly over the whole path rather
+    // than per segment, so short segments don't get crowded
+    getTangentLines(countPerCurve = 10, length = 30, options = {}) {
+        if (options.spacing === 'arc') {
+            const count = countPerCurve * this.segments.length;
+            const total = this.arcLength();
+            const tangents = [];
+            for (let i = 0; i <= count; i++) {
+                const { index, t } = this.locateLength(total * i / count);
+                const seg = this.segments[index];
+                const point = seg.evaluate(t);
+                const dir = seg.tangent(t);
+                tangents.push({
+                    t,
+                    segment: index,
+                    start: point,
+                    end: point.add(dir.multiply(length)),
+                    direction: dir
+                });
+            }
+            return tangents;
+        }
+
+        const tangents = [];
+        this.segments.forEach((seg, i) => {
+            seg.getTangentLines(countPerCurve, length).forEach(tangent => {
+                tangents.push({ ...tangent, segment: i });
+            });
+        });
+        return tangents;
+    }
+
+    arcLength() {
+        return this.segments.reduce((sum, seg) => sum + seg.arcLength(), 0);
+    }
+
+    // Segment index and local t at a distance along the whole path
+    locateLength(length) {
+        let remaining = Math.max(0, length);
+        for (let i = 0; i < this.segments.length; i++) {
+            const segLength = this.segments[i].arcLength();
+            if (remaining <= segLength || i === this.segments.length - 1) {
+                return { index: i, t: this.segments[i].tAtLength(remaining) };
+            }
+            remaining -= segLength;
+        }
+        return { index: 0, t: 0 };
+    }
+
+    sampleByArcLength(segments = 100) {
+        const total = this.arcLength();
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            const { index, t } = this.locateLength(total * i / segments);
+            points.push(this.segments[index].evaluate(t));
+        }
+        return points;
+    }
+
+    boundingBox() {
+        const boxes = this.segments.map(seg => seg.boundingBox());
+        return {
+            min: new Vector2D(
+                Math.min(...boxes.map(b => b.min.x)),
+                Math.min(...boxes.map(b => b.min.y))
+            ),
+            max: new Vector2D(
+                Math.max(...boxes.map(b => b.max.x)),
+                Math.max(...boxes.map(b => b.max.y))
+            )
+        };
+    }
+
+    orientedBoundingBox() {
+        return CubicBezier.orientedBoundingBoxOf(this.segments);
+    }
+
+    project(point) {
+        let best = null;
+        this.segments.forEach((seg, index) => {
+            const hit = seg.project(point);
+            if (!best || hit.distance < best.distance) best = { ...hit, segment: index };
+        });
+        return best;
+    }
+
+    inflections() {
+        return this.segments.flatMap((seg, index) =>
+            seg.inflections().map(t => ({ segment: index, t, point: seg.evaluate(t) }))
+        );
+    }
+
+    offset(distance, tolerance = 0.5) {
+        return this.segments.flatMap(seg => seg.offset(distance, tolerance));
+    }
+
+    // Filled outline of a stroke whose width varies along the path: the left edge
+    // runs forward and the right edge back, so the polygon can be filled directly.
+    // widthAt(u, segment, t) receives u in [0, 1] over the whole path.
+    outline(widthAt, perCurve = 50) {
+        const left = [];
+        const right = [];
+        const count = this.segments.length;
+
+        this.segments.forEach((seg, index) => {
+            for (let i = index === 0 ? 0 : 1; i <= perCurve; i++) {
+                const t = i / perCurve;
+                const half = widthAt((index + t) / count, seg, t) / 2;
+                const point = seg.evaluate(t);
+                const normal = seg.normal(t);
+                left.push(point.add(normal.multiply(half)));
+                right.push(point.subtract(normal.multiply(half)));
+            }
+        });
+
+        return left.concat(right.reverse());
+    }
+
+    intersectLine(lineStart, lineEnd, infinite = false) {
+        const hits = [];
+        this.segments.forEach((seg, index) => {
+            seg.intersectLine(lineStart, lineEnd, infinite).forEach(hit => hits.push({ ...hit, segment: index }));
+        });
+        return hits;
+    }
+
+    // Crossings of the path with itself: loops inside a segment plus crossings between
+    // segments, ignoring the joint neighbouring segments share by construction.
+    selfIntersections(tolerance = 0.01) {
+        const hits = [];
+        this.segments.forEach((seg, i) => {
+            seg.selfIntersections(tolerance).forEach(hit => hits.push({ ...hit, segments: [i, i] }));
+
+            for (let j = i + 1; j < this.segments.length; j++) {
+                CubicBezier.intersectCurves(seg, this.segments[j], tolerance).forEach(hit => {
+                    if (j === i + 1 && hit.t > 1 - 1e-3 && hit.u < 1e-3) return;
+                    hits.push({ ...hit, segments: [i, j] });
+                });
+            }
+        });
+        return hits;
+    }
+
+    getControlPoints() {
+        const points = [];
+        this.segments.forEach((seg, i) => {
+            const pts = seg.getControlPoints();
+            points.push(...(i === 0 ? pts : pts.slice(1)));
+        });
+        return points;
+    }
+}
+
+// Spring physics simulation
+class SpringPhysics {
+    constructor(config = {}) {
+        this.stiffness = config.stiffness ?? 150;
+        this.damping = config.damping ?? 12;
+        this.mass = config.mass ?? 1;
+        this.position = config.initialPosition || new Vector2D(0, 0);
+        this.velocity = this.position.multiply(0);
+        this.target = this.position;
+        this.maxVelocity = config.maxVelocity ?? 2000;
+        this.maxDisplacement = config.maxDisplacement ?? 500;
+        this.integrator = config.integrator ?? 'euler';
+
+        // Anisotropy: separate stiffness and damping along two principal axes, rotated
+        // by axisAngle in the xy-plane. Depth (z) keeps the scalar values.
+        this.stiffnessX = config.stiffnessX ?? this.stiffness;
+        this.stiffnessY = config.stiffnessY ?? this.stiffness;
+        this.dampingX = config.dampingX ?? this.damping;
+        this.dampingY = config.dampingY ?? this.damping;
+        this.axisAngle = config.axisAngle ?? 0;
+
+        // Constant external force over the next step (e.g. from coupled springs)
+        this.force = this.position.multiply(0);
+    }
+
+    setTarget(target) {
+        this.target = target;
+    }
+
+    setForce(force) {
+        this.force = force;
+    }
+
+    // Components of vec along the principal axes: [u, v, z]
+    toPrincipal(vec) {
+        const cos = Math.cos(this.axisAngle);
+        const sin = Math.sin(this.axisAngle);
+        return [vec.x * cos + vec.y * sin, -vec.x * sin + vec.y * cos, vec.z];
+    }
+
+    fromPrincipal(u, v, z) {
+        const cos = Math.cos(this.axisAngle);
+        const sin = Math.sin(this.axisAngle);
+        const x = u * cos - v * sin;
+        const y = u * sin + v * cos;
+        return z !== undefined ? new Vector3D(x, y, z) : new Vector2D(x, y);
+    }
+
+    // Applies the diagonal tensor diag(ku, kv, kz) expressed in the principal frame
+    applyTensor(vec, ku, kv, kz) {
+        const [u, v, z] = this.toPrincipal(vec);
+        return this.fromPrincipal(u * ku, v * kv, z !== undefined ? z * kz : undefined);
+    }
+
+    acceleration(position, velocity) {
+        const displacement = position.subtract(this.target);
+        const springForce = this.applyTensor(displacement, this.stiffnessX, this.stiffnessY, this.stiffness);
+        const dampingForce = this.applyTensor(velocity, this.dampingX, this.dampingY, this.damping);
+        return springForce.add(dampingForce).subtract(this.force).multiply(-1 / this.mass);
+    }
+
+    update(dt) {
+        // The closed form is exact for any dt, so it skips the step cap and the
+        // clamps; the numerical integrators need both to stay stable
+        const step = SpringPhysics.integrators[this.integrator] || SpringPhysics.integrators.euler;
+        if (step === SpringPhysics.integrators.analytic) {
+            step(this, dt);
+            return this.position;
+        }
+        step(this, Math.min(dt, 1/30));
+
+        if (this.velocity.magnitude() > this.maxVelocity) {
+            this.velocity = this.velocity.normalize().multiply(this.maxVelocity);
+        }
+
+        const currentDisp = this.position.subtract(this.target);
+        if (currentDisp.magnitude() > this.maxDisplacement) {
+            this.position = this.target.add(
+                currentDisp.normalize().multiply(this.maxDisplacement)
+            );
+        }
+
+        return this.position;
+    }
+
+    reset(position) {
+        this.position = position;
+        this.velocity = position.multiply(0);
+        this.target = position;
+        this.force = position.multiply(0);
+    }
+
+    applyImpulse(impulse) {
+        this.velocity = this.velocity.add(impulse.divide(this.mass));
+    }
+
+    kineticEnergy() {
+        return 0.5 * this.mass * this.velocity.magnitudeSquared();
+    }
+
+    potentialEnergy() {
+        const disp = this.position.subtract(this.target);
+        return 0.5 * disp.dot(this.applyTensor(disp, this.stiffnessX, this.stiffnessY, this.stiffness));
+    }
+
+    totalEnergy() {
+        return this.kineticEnergy() + this.potentialEnergy();
+    }
+
+    isSettled(velThresh = 0.1, dispThresh = 0.1) {
+        return this.velocity.magnitude() < velThresh &&
+               this.position.subtract(this.target).magnitude() < dispThresh;
+    }
+
+    // A scalar stiffness or damping makes that property isotropic again; the
+    // per-axis keys then override it for one axis
+    setParameters(params) {
+        if (params.stiffness !== undefined) {
+            this.stiffness = this.stiffnessX = this.stiffnessY = params.stiffness;
+        }
+        if (params.damping !== undefined) {
+            this.damping = this.dampingX = this.dampingY = params.damping;
+        }
+        if (params.mass !== undefined) this.mass = params.mass;
+        if (params.integrator !== undefined) this.integrator = params.integrator;
+        ['stiffnessX', 'stiffnessY', 'dampingX', 'dampingY', 'axisAngle'].forEach(key => {
+            if (params[key] !== undefined) this[key] = params[key];
+        });
+    }
+
+    // Exact solution of m x'' + c x' + k x = f after dt, returned as [x, v]. With
+    // k > 0 a constant force only moves the equilibrium to f / k; with k = 0
+    // there is no equilibrium and the point drifts towards the terminal velocity f / c.
+    static dampedOscillator(x0, v0, k, c, m, dt, f = 0) {
+        if (k <= 0) {
+            if (c <= 0) return [x0 + v0 * dt + 0.5 * (f / m) * dt * dt, v0 + (f / m) * dt];
+            const terminal = f / c;
+            const decay = Math.exp(-c * dt / m);
+            return [
+                x0 + terminal * dt + (v0 - terminal) * (m / c) * (1 - decay),
+                terminal + (v0 - terminal) * decay
+            ];
+        }
+        if (f !== 0) {
+            const shift = f / k;
+            const [x, v] = SpringPhysics.dampedOscillator(x0 - shift, v0, k, c, m, dt);
+            return [x + shift, v];
+        }
+
+        const omega = Math.sqrt(k / m);
+        const zeta = c / (2 * Math.sqrt(k * m));
+
+        // Near critical damping the other two forms divide by a vanishing root gap
+        if (Math.abs(zeta - 1) < 1e-6) {
+            const decay = Math.exp(-omega * dt);
+            const b = v0 + omega * x0;
+            return [decay * (x0 + b * dt), decay * (v0 - b * omega * dt)];
+        }
+        if (zeta < 1) {
+            const alpha = zeta * omega;
+            const omegaD = omega * Math.sqrt(1 - zeta * zeta);
+            const decay = Math.exp(-alpha * dt);
+            const cos = Math.cos(omegaD * dt);
+            const sin = Math.sin(omegaD * dt);
+            return [
+                decay * (x0 * cos + (v0 + alpha * x0) * sin / omegaD),
+                decay * (v0 * cos - (alpha * v0 + omega * omega * x0) * sin / omegaD)
+            ];
+        }
+        const root = Math.sqrt(zeta * zeta - 1);
+        const r1 = -omega * (zeta - root);
+        const r2 = -omega * (zeta + root);
+        const c1 = (v0 - r2 * x0) / (r1 - r2);
+        const c2 = x0 - c1;
+        const e1 = Math.exp(r1 * dt);
+        const e2 = Math.exp(r2 * dt);
+        return [c1 * e1 + c2 * e2, c1 * r1 * e1 + c2 * r2 * e2];
+    }
+}
+
+// Each integrator advances spring.position and spring.velocity by dt in place
+SpringPhysics.integrators = {
+    // Semi-implicit Euler: velocity first, then position with the new velocity
+    euler(spring, dt) {
+        const a = spring.acceleration(spring.position, spring.velocity);
+        spring.velocity = spring.velocity.add(a.multiply(dt));
+        spring.position = spring.position.add(spring.velocity.multiply(dt));
+    },
+
+    // Velocity Verlet; the damping force needs the end-of-step velocity, so it is predicted
+    verlet(spring, dt) {
+        const a0 = spring.acceleration(spring.position, spring.velocity);
+        const position = spring.position.add(spring.velocity.multiply(dt)).add(a0.multiply(0.5 * dt * dt));
+        const predicted = spring.velocity.add(a0.multiply(dt));
+        const a1 = spring.acceleration(position, predicted);
+        spring.position = position;
+        spring.velocity = spring.velocity.add(a0.add(a1).multiply(0.5 * dt));
+    },
+
+    rk4(spring, dt) {
+        const x0 = spring.position;
+        const v0 = spring.velocity;
+        const deriv = (x, v) => ({ dx: v, dv: spring.acceleration(x, v) });
+
+        const k1 = deriv(x0, v0);
+        const k2 = deriv(x0.add(k1.dx.multiply(dt / 2)), v0.add(k1.dv.multiply(dt / 2)));
+        const k3 = deriv(x0.add(k2.dx.multiply(dt / 2)), v0.add(k2.dv.multiply(dt / 2)));
+        const k4 = deriv(x0.add(k3.dx.multiply(dt)), v0.add(k3.dv.multiply(dt)));
+        const combine = (a, b, c, d) => a.add(b.multiply(2)).add(c.multiply(2)).add(d).multiply(dt / 6);
+
+        spring.position = x0.add(combine(k1.dx, k2.dx, k3.dx, k4.dx));
+        spring.velocity = v0.add(combine(k1.dv, k2.dv, k3.dv, k4.dv));
+    },
+
+    // Closed-form damped oscillator about a fixed target, exact for any dt. The
+    // principal axes decouple, so each is solved on its own, external force included.
+    analytic(spring, dt) {
+        const x0 = spring.toPrincipal(spring.position.subtract(spring.target));
+        const v0 = spring.toPrincipal(spring.velocity);
+        const f = spring.toPrincipal(spring.force);
+        const stiffness = [spring.stiffnessX, spring.stiffnessY, spring.stiffness];
+        const damping = [spring.dampingX, spring.dampingY, spring.damping];
+
+        const solved = x0.map((x, axis) => x === undefined ? undefined :
+            SpringPhysics.dampedOscillator(x, v0[axis], stiffness[axis], damping[axis], spring.mass, dt, f[axis])
+        );
+        const component = index => solved.map(pair => pair && pair[index]);
+
+        spring.position = spring.target.add(spring.fromPrincipal(...component(0)));
+        spring.velocity = spring.fromPrincipal(...component(1));
+    }
+};
+
+// Spring-controlled point
+class SpringPoint {
+    constructor(x, y, config = {}) {
+        this.spring = new SpringPhysics({
+            ...config,
+            initialPosition: new Vector2D(x, y)
+        });
+        this.basePosition = new Vector2D(x, y);
+        this.influence = config.influence ?? 1.0;
+        this.offsetScale = config.offsetScale ?? 1.0;
+        this.previousPosition = this.spring.position;
+        this.alpha = 1;
+    }
+
+    // Rendered position, blended between the last two physics steps
+    get position() {
+        const current = this.spring.position;
+        if (this.alpha >= 1) return current;
+        return this.previousPosition.add(current.subtract(this.previousPosition).multiply(this.alpha));
+    }
+    get x() { return this.position.x; }
+    get y() { return this.position.y; }
+
+    setInputOffset(offset) {
+        const scaled = offset.multiply(this.influence * this.offsetScale);
+        this.spring.setTarget(this.basePosition.add(scaled));
+    }
+
+    setTarget(position) {
+        this.spring.setTarget(position);
+    }
+
+    update(dt) {
+        this.previousPosition = this.spring.position;
+        return this.spring.update(dt);
+    }
+
+    // Places the point directly (e.g. from a rope fit), keeping the implied
+    // velocity so the spring carries on smoothly afterwards
+    moveTo(position, dt) {
+        this.previousPosition = this.spring.position;
+        this.spring.velocity = position.subtract(this.spring.position).divide(dt);
+        this.spring.position = position;
+    }
+
+    setInterpolation(alpha) {
+        this.alpha = alpha;
+    }
+
+    reset() {
+        this.spring.reset(this.basePosition);
+        this.previousPosition = this.basePosition;
+    }
+
+    setBasePosition(x, y) {
+        this.basePosition = new Vector2D(x, y);
+    }
+
+    setSpringParams(params) {
+        this.spring.setParameters(params);
+        if (params.influence !== undefined) this.influence = params.influence;
+        if (params.offsetScale !== undefined) this.offsetScale = params.offsetScale;
+    }
+
+    getSpringParams() {
+        const { stiffness, damping, mass, stiffnessX, stiffnessY, dampingX, dampingY, axisAngle } = this.spring;
+        return {
+            stiffness, damping, mass, stiffnessX, stiffnessY, dampingX, dampingY, axisAngle,
+            influence: this.influence,
+            offsetScale: this.offsetScale
+        };
+    }
+}
+
+// Spring-controlled point that can also move in depth
+class SpringPoint3D extends SpringPoint {
+    constructor(x, y, z, config = {}) {
+        super(x, y, config);
+        this.basePosition = new Vector3D(x, y, z);
+        this.reset();
+    }
+
+    get z() { return this.position.z; }
+
+    setBasePosition(x, y, z = this.basePosition.z) {
+        this.basePosition = new Vector3D(x, y, z);
+    }
+}
+
+// Chain of unit-mass particles joined by distance constraints and integrated
+// with position Verlet. The end particles are pinned and only move via pin().
+class VerletRope {
+    constructor(points, config = {}) {
+        this.positions = points.slice();
+        this.previous = points.slice();
+        this.iterations = config.iterations ?? 20;
+        this.damping = config.damping ?? 0.99;
+
+        let length = 0;
+        for (let i = 1; i < points.length; i++) length += points[i].distanceTo(points[i - 1]);
+        this.restLength = length / (points.length - 1);
+    }
+
+    get count() { return this.positions.length; }
+
+    isPinned(i) {
+        return i === 0 || i === this.positions.length - 1;
+    }
+
+    velocity(i, dt) {
+        return this.positions[i].subtract(this.previous[i]).divide(dt);
+    }
+
+    pin(i, position) {
+        this.positions[i] = position;
+        this.previous[i] = position;
+    }
+
+    // acceleration(i) gives the acceleration of particle i over the step
+    step(dt, acceleration) {
+        for (let i = 1; i < this.positions.length - 1; i++) {
+            // Acceleration first: velocity-dependent forces read previous[i]
+            const current = this.positions[i];
+            const accel = acceleration(i);
+            const inertia = current.subtract(this.previous[i]).multiply(this.damping);
+            this.previous[i] = current;
+            this.positions[i] = current.add(inertia).add(accel.multiply(dt * dt));
+        }
+        for (let k = 0; k < this.iterations; k++) this.satisfyConstraints();
+    }
+
+    satisfyConstraints() {
+        for (let i = 0; i < this.positions.length - 1; i++) {
+            const delta = this.positions[i + 1].subtract(this.positions[i]);
+            const length = delta.magnitude();
+            const wa = this.isPinned(i) ? 0 : 1;
+            const wb = this.isPinned(i + 1) ? 0 : 1;
+            if (length === 0 || wa + wb === 0) continue;
+
+            const correction = delta.multiply((length - this.restLength) / length / (wa + wb));
+            this.positions[i] = this.positions[i].add(correction.multiply(wa));
+            this.positions[i + 1] = this.positions[i + 1].subtract(correction.multiply(wb));
+        }
+    }
+}
+
+// Main interactive bezier system
+// The path is a poly-bezier: anchors[i] and anchors[i + 1] bound segment i, whose
+// inner control points are the spring-driven handles[2i] and handles[2i + 1].
+// p0/p3/springP1/springP2 address the start and end of the path, which for a
+// single segment are exactly its four control points.
+class InteractiveBezier {
+    constructor(config = {}) {
+        this.width = config.width || 800;
+        this.height = config.height || 600;
+
+        const stiffness = config.stiffness ?? 150;
+        const damping = config.damping ?? 12;
+        this.springConfig = {
+            stiffness,
+            damping,
+            mass: config.mass ?? 1,
+            integrator: config.integrator ?? 'euler',
+            stiffnessX: config.stiffnessX ?? stiffness,
+            stiffnessY: config.stiffnessY ?? stiffness,
+            dampingX: config.dampingX ?? damping,
+            dampingY: config.dampingY ?? damping,
+            axisAngle: config.axisAngle ?? 0
+        };
+        this.handleInfluence = [config.p1Influence ?? 1.0, config.p2Influence ?? 0.8];
+        // How the shared input offset maps onto each handle: P1-type handles follow
+        // it, P2-type handles move against it
+        this.handleOffsetScale = [config.p1OffsetScale ?? 1.0, config.p2OffsetScale ?? -0.6];
+        this.offsetScaleMirror = this.handleOffsetScale[0] !== 0
+            ? this.handleOffsetScale[1] / this.handleOffsetScale[0]
+            : -0.6;
+        this.defaultContinuity = config.continuity ?? 'C1';
+
+        this.initControlPoints(config);
+
+        // The first and last anchors can be spring-driven like the handles. A pinned
+        // endpoint sits exactly on its anchor; an unpinned one springs towards it
+        // (plus its own share of the input offset) and feels forces and links.
+        const pinned = !(config.springEndpoints ?? false);
+        this.endpoints = [0, this.segmentCount].map(i => {
+            const endpoint = this.createSpringPoint(this.anchors[i], {
+                influence: config.endpointInfluence ?? 0.3,
+                offsetScale: 1
+            });
+            endpoint.pinned = pinned;
+            return endpoint;
+        });
+        this.inputOffset = this.anchors[0].multiply(0);
+
+        // Optional springs between control points, which turn the curve into a
+        // connected soft body. The topology is a named generator or a list of
+        // [a, b] / { a, b, ... } links addressed by control polygon index (P0, P1,
+        // P2, P3, P4...). Rest lengths come from the layout when the links are
+        // built; maxStretch bounds how far a link may stretch or compress, as a
+        // fraction of its rest length.
+        this.network = {
+            enabled: false,
+            topology: 'polygon',
+            stiffness: 60,
+            damping: 2,
+            maxStretch: null,
+            ...config.network
+        };
+        this.buildLinks();
+
+        // Force fields acting on every handle, e.g. { type: 'gravity', strength: 400 };
+        // see InteractiveBezier.forceFields for the types and their parameters
+        this.forces = [];
+        this.gusts = [];
+
+        // Rope mode replaces the handle springs with a Verlet chain per segment,
+        // hung between its anchors, and refits the handles to the chain every
+        // step. The chain feels its own gravity, the force fields and a pull
+        // along the input offset.
+        this.ropeMode = false;
+        this.ropes = [];
+        this.ropeConfig = {
+            particles: 24,
+            iterations: 20,
+            damping: 0.99,
+            gravity: 980,
+            offsetGain: 20,
+            ...config.rope
+        };
+
+        this.curveResolution = config.curveResolution ?? 100;
+        this.tangentCount = config.tangentCount ?? 10;
+        this.tangentLength = config.tangentLength ?? 40;
+        this.tangentSpacing = config.tangentSpacing ?? 'uniform';
+        this.lastUpdateTime = performance.now();
+
+        // Physics runs in fixed steps; frames consume whole steps from the accumulator
+        // and render the remainder by interpolation. With randomness from the seeded
+        // generator, the same input stream and frame times reproduce the same
+        // trajectories bit for bit. Deterministic mode also keeps the wall clock
+        // out: an update without a dt takes exactly one step.
+        this.fixedStep = config.fixedStep ?? 1 / 120;
+        this.maxSubSteps = config.maxSubSteps ?? 8;
+        this.interpolate = config.interpolate ?? true;
+        this.deterministic = config.deterministic ?? false;
+        this.accumulator = 0;
+        this.setSeed(config.seed ?? 1);
+    }
+
+    setSeed(seed) {
+        this.seed = seed;
+        this.random = Utils.createRandom(seed);
+        this.stepCount = 0;
+    }
+
+    vectorFrom(coords) {
+        return new Vector2D(coords[0], coords[1]);
+    }
+
+    initControlPoints(config) {
+        const margin = 100;
+
+        const p0 = config.p0 || new Vector2D(margin, this.height / 2);
+        const p3 = config.p3 || new Vector2D(this.width - margin, this.height / 2);
+
+        const p1Default = config.p1 || new Vector2D(this.width * 0.33, this.height * 0.25);
+        const p2Default = config.p2 || new Vector2D(this.width * 0.66, this.height * 0.75);
+
+        this.anchors = [p0, p3];
+        this.continuity = [null, null];
+        this.handles = [
+            this.createHandle(p1Default, 0),
+            this.createHandle(p2Default, 1)
+        ];
+    }
+
+    createHandle(position, index) {
+        return this.createSpringPoint(position, {
+            influence: this.handleInfluence[index % 2],
+            offsetScale: this.handleOffsetScale[index % 2]
+        });
+    }
+
+    createSpringPoint(position, params) {
+        return new SpringPoint(position.x, position.y, { ...this.springConfig, ...params });
+    }
+
+    createSegment(p0, p1, p2, p3) {
+        return new CubicBezier(p0, p1, p2, p3);
+    }
+
+    // Endpoint spring of anchor i, or null for interior anchors
+    endpointFor(i) {
+        if (i === 0) return this.endpoints[0];
+        return i === this.anchors.length - 1 ? this.endpoints[1] : null;
+    }
+
+    isAnchorPinned(i) {
+        const endpoint = this.endpointFor(i);
+        return !endpoint || endpoint.pinned;
+    }
+
+    // Where anchor i currently is: its endpoint spring when unpinned
+    anchorPosition(i) {
+        return this.isAnchorPinned(i) ? this.anchors[i] : this.endpointFor(i).position;
+    }
+
+    // Everything the physics steps: the handles, then any unpinned endpoints
+    springPoints() {
+        return this.handles.concat(this.endpoints.filter(endpoint => !endpoint.pinned));
+    }
+
+    // Moves endpoint `which` (0 first, 1 last) onto its anchor; restart also puts
+    // the spring at rest there
+    syncEndpoint(which, restart = false) {
+        const endpoint = this.endpoints[which];
+        const anchor = this.anchors[which === 0 ? 0 : this.anchors.length - 1];
+        endpoint.setBasePosition(anchor.x, anchor.y, anchor.z);
+        if (restart) endpoint.reset();
+        endpoint.setInputOffset(this.inputOffset);
+    }
+
+    setEndpointPinned(which, pinned) {
+        this.endpoints[which].pinned = pinned;
+        this.syncEndpoint(which, true);
+    }
+
+    toggleEndpointPin(which) {
+        this.setEndpointPinned(which, !this.endpoints[which].pinned);
+    }
+
+    get p0() { return this.anchors[0]; }
+    set p0(position) { this.setAnchor(0, position); }
+    get p3() { return this.anchors[this.anchors.length - 1]; }
+    set p3(position) { this.setAnchor(this.anchors.length - 1, position); }
+    get springP1() { return this.handles[0]; }
+    get springP2() { return this.handles[this.handles.length - 1]; }
+
+    get segmentCount() { return this.anchors.length - 1; }
+
+    get pointCount() { return 3 * this.segmentCount + 1; }
+
+    // Handle index of control polygon point k, or -1 for an anchor
+    handleIndex(k) {
+        return k % 3 === 0 ? -1 : k - 1 - Math.floor(k / 3);
+    }
+
+    controlPoint(k) {
+        const h = this.handleIndex(k);
+        return h < 0 ? this.anchorPosition(k / 3) : this.handles[h].position;
+    }
+
+    getSegment(index) {
+        return this.createSegment(
+            this.anchorPosition(index),
+            this.handles[2 * index].position,
+            this.handles[2 * index + 1].position,
+            this.anchorPosition(index + 1)
+        );
+    }
+
+    getSegments() {
+        const segments = [];
+        for (let i = 0; i < this.segmentCount; i++) segments.push(this.getSegment(i));
+        return segments;
+    }
+
+    getSpline() {
+        return new BezierSpline(this.getSegments());
+    }
+
+    // First segment; the whole curve when there is only one
+    getCurve() {
+        return this.getSegment(0);
+    }
+
+    setInputOffset(offset) {
+        this.inputOffset = offset;
+        this.handles.forEach(handle => handle.setInputOffset(offset));
+        this.endpoints.forEach(endpoint => endpoint.setInputOffset(offset));
+        for (let j = 1; j < this.anchors.length - 1; j++) {
+            this.enforceJoint(j, 2 * j - 1, this.targetAccess());
+        }
+    }
+
+    setTargets(p1Target, p2Target) {
+        if (p1Target) this.springP1.setTarget(p1Target);
+        if (p2Target) this.springP2.setTarget(p2Target);
+    }
+
+    // Drag a handle, carrying the neighbouring handle along per the joint's continuity
+    setHandleTarget(index, position) {
+        this.handles[index].setTarget(position);
+        const joint = index % 2 === 0 ? index / 2 : (index + 1) / 2;
+        this.enforceJoint(joint, index, this.targetAccess());
+    }
+
+    setAnchor(index, position) {
+        this.anchors[index] = position;
+        if (index > 0 && index < this.anchors.length - 1) {
+            this.enforceJoint(index, 2 * index - 1, this.targetAccess());
+        } else {
+            this.syncEndpoint(index === 0 ? 0 : 1);
+        }
+    }
+
+    setEndpoint(index, position) {
+        if (index === 0) this.setAnchor(0, position);
+        else if (index === 3) this.setAnchor(this.anchors.length - 1, position);
+    }
+
+    resetTargets() {
+        this.handles.forEach(handle => handle.setTarget(handle.basePosition));
+    }
+
+    targetAccess() {
+        return {
+            get: i => this.handles[i].spring.target,
+            set: (i, v) => this.handles[i].setTarget(v)
+        };
+    }
+
+    baseAccess() {
+        return {
+            get: i => this.handles[i].basePosition,
+            set: (i, v) => this.handles[i].setBasePosition(v.x, v.y, v.z)
+        };
+    }
+
+    // Moves the handle opposite `leader` at interior anchor `joint` so the joint
+    // meets its continuity. C2 also moves the far handle of the neighbouring
+    // segment, which cascades into the next joint along.
+    enforceJoint(joint, leader, access) {
+        if (joint <= 0 || joint >= this.anchors.length - 1) return;
+
+        const type = this.continuity[joint] || 'C0';
+        if (type === 'C0') return;
+
+        const anchor = this.anchors[joint];
+        const inIdx = 2 * joint - 1;
+        const outIdx = 2 * joint;
+        const follower = leader === inIdx ? outIdx : inIdx;
+        const lead = access.get(leader);
+
+        if (type === 'G1') {
+            const dir = anchor.subtract(lead).normalize();
+            if (dir.magnitudeSquared() === 0) return;
+            const len = access.get(follower).distanceTo(anchor);
+            access.set(follower, anchor.add(dir.multiply(len)));
+            return;
+        }
+
+        const mirrored = anchor.multiply(2).subtract(lead);
+        access.set(follower, mirrored);
+        if (type !== 'C2') return;
+
+        // Equal second derivatives: P[out+1] = P[in-1] + 4(A - P[in])
+        const inPos = access.get(inIdx);
+        const delta = anchor.subtract(inPos).multiply(4);
+        if (leader === inIdx) {
+            access.set(outIdx + 1, access.get(inIdx - 1).add(delta));
+            this.enforceJoint(joint + 1, outIdx + 1, access);
+        } else {
+            access.set(inIdx - 1, access.get(outIdx + 1).subtract(delta));
+            this.enforceJoint(joint - 1, inIdx - 1, access);
+        }
+    }
+
+    setContinuity(joint, type) {
+        if (joint <= 0 || joint >= this.anchors.length - 1) return;
+        this.continuity[joint] = type;
+        this.enforceJoint(joint, 2 * joint - 1, this.baseAccess());
+        this.enforceJoint(joint, 2 * joint - 1, this.targetAccess());
+    }
+
+    // Appends a segment ending at p3. Without an explicit p1 the new outgoing
+    // handle is derived from the joint's continuity.
+    addSegment(p3, p1 = null, p2 = null) {
+        const joint = this.anchors.length - 1;
+        const start = this.anchors[joint];
+        const chord = p3.subtract(start);
+        const first = p1 || start.add(chord.multiply(1 / 3));
+        const second = p2 || start.add(chord.multiply(2 / 3));
+
+        this.anchors.push(p3);
+        this.continuity[joint] = p1 ? 'C0' : this.defaultContinuity;
+        this.continuity.push(null);
+        this.handles.push(this.createHandle(first, this.handles.length));
+        this.handles.push(this.createHandle(second, this.handles.length));
+
+        this.enforceJoint(joint, 2 * joint - 1, this.baseAccess());
+        this.handles.slice(-2).forEach(handle => handle.reset());
+        this.enforceJoint(joint, 2 * joint - 1, this.targetAccess());
+        this.syncEndpoint(1, true);
+        this.rebuildConstraints();
+    }
+
+    // Splits segment `index` at t into two segments without changing the shape.
+    // The new handles start at rest where the split puts them.
+    insertAnchor(index, t) {
+        const [left, right] = this.getSegment(index).split(t);
+
+        this.anchors.splice(index + 1, 0, left.p3);
+        this.continuity.splice(index + 1, 0, this.defaultContinuity);
+
+        const positions = [left.p1, left.p2, right.p1, right.p2];
+        const handles = positions.map((pos, k) => {
+            const handle = this.createHandle(pos, 2 * index + k);
+            handle.setTarget(pos);
+            return handle;
+        });
+        this.handles.splice(2 * index, 2, ...handles);
+        this.rebuildConstraints();
+        return index + 1;
+    }
+
+    // Replaces the path with cubics that join end to end, e.g. from an SVG import.
+    // The springs start at rest on the given handles, and each joint keeps the
+    // strongest continuity the shape already has, so enforcing it changes nothing.
+    loadSegments(segments) {
+        const vector = p => this.vectorFrom([p.x, p.y, p.z]);
+        this.anchors = [vector(segments[0].p0), ...segments.map(seg => vector(seg.p3))];
+        this.handles = [];
+        segments.forEach(seg => {
+            this.handles.push(this.createHandle(vector(seg.p1), this.handles.length));
+            this.handles.push(this.createHandle(vector(seg.p2), this.handles.length));
+        });
+        this.continuity = this.anchors.map((anchor, j) =>
+            j > 0 && j < this.anchors.length - 1 ? this.detectContinuity(j) : null
+        );
+
+        this.endpoints.forEach((endpoint, which) => this.syncEndpoint(which, true));
+        this.gusts = [];
+        this.rebuildConstraints();
+    }
+
+    detectContinuity(joint) {
+        const anchor = this.anchors[joint];
+        const incoming = anchor.subtract(this.handles[2 * joint - 1].basePosition);
+        const outgoing = this.handles[2 * joint].basePosition.subtract(anchor);
+        const a = incoming.magnitude();
+        const b = outgoing.magnitude();
+        if (a < 1e-9 || b < 1e-9 || incoming.dot(outgoing) / (a * b) < 1 - 1e-4) return 'C0';
+        return Math.abs(a - b) <= 1e-2 * Math.max(a, b) ? 'C1' : 'G1';
+    }
+
+    removeSegment() {
+        if (this.segmentCount <= 1) return;
+        this.anchors.pop();
+        this.handles.splice(-2, 2);
+        this.continuity.pop();
+        this.continuity[this.continuity.length - 1] = null;
+        this.syncEndpoint(1, true);
+        this.rebuildConstraints();
+    }
+
+    // Links and ropes are laid out over the control polygon, so they are rebuilt
+    // whenever segments are added, removed or rescaled
+    rebuildConstraints() {
+        this.buildLinks();
+        if (this.ropeMode) this.buildRopes();
+    }
+
+    // Switching on lays each rope along the current curve, so it starts with
+    // the curve's length as slack
+    setRopeMode(enabled) {
+        this.ropeMode = enabled;
+        this.ropes = [];
+        if (enabled) this.buildRopes();
+    }
+
+    buildRopes() {
+        const count = Math.max(3, this.ropeConfig.particles);
+        this.ropes = this.getSegments().map(segment => new VerletRope(segment.sample(count - 1), this.ropeConfig));
+    }
+
+    stepRopes() {
+        const dt = this.fixedStep;
+        const fields = this.forces.filter(field => field.enabled !== false);
+        const gravity = this.vectorFrom([0, this.ropeConfig.gravity]);
+        const pull = this.inputOffset.multiply(this.ropeConfig.offsetGain);
+        let index = this.springPoints().length;
+
+        this.ropes.forEach((rope, s) => {
+            rope.pin(0, this.anchorPosition(s));
+            rope.pin(rope.count - 1, this.anchorPosition(s + 1));
+            rope.step(dt, i => {
+                const particle = { position: rope.positions[i], velocity: rope.velocity(i, dt), mass: 1 };
+                return gravity.add(pull).add(this.fieldForce(fields, particle, index + i));
+            });
+            index += rope.count;
+
+            const [p1, p2] = CubicBezier.fitHandles(rope.positions, rope.positions[0], rope.positions[rope.count - 1]);
+            this.handles[2 * s].moveTo(p1, dt);
+            this.handles[2 * s + 1].moveTo(p2, dt);
+        });
+    }
+
+    setNetwork(network) {
+        this.network = { ...this.network, ...network };
+        this.buildLinks();
+    }
+
+    buildLinks() {
+        const { topology, stiffness, damping, maxStretch } = this.network;
+        const count = this.pointCount;
+        const pairs = typeof topology === 'string'
+            ? InteractiveBezier.topologies[topology](count)
+            : topology;
+        const rest = k => {
+            const h = this.handleIndex(k);
+            return h < 0 ? this.anchors[k / 3] : this.handles[h].basePosition;
+        };
+
+        this.links = pairs
+            .map(pair => Array.isArray(pair) ? { a: pair[0], b: pair[1] } : pair)
+            .filter(link => link.a !== link.b && link.a < count && link.b < count)
+            .map(link => ({
+                stiffness, damping, maxStretch,
+                ...link,
+                restLength: link.restLength ?? rest(link.a).distanceTo(rest(link.b))
+            }));
+    }
+
+    // Current physics state of control point k; pinned anchors are immovable
+    linkNode(k) {
+        const h = this.handleIndex(k);
+        if (h < 0 && this.isAnchorPinned(k / 3)) {
+            const position = this.anchors[k / 3];
+            return { position, velocity: position.multiply(0), spring: null };
+        }
+        const spring = h < 0 ? this.endpointFor(k / 3).spring : this.handles[h].spring;
+        return { position: spring.position, velocity: spring.velocity, spring };
+    }
+
+    addForce(field) {
+        this.forces.push(field);
+        return field;
+    }
+
+    removeForce(field) {
+        this.forces = this.forces.filter(f => f !== field);
+    }
+
+    // External forces for the coming step, held constant over it
+    accumulateForces() {
+        this.springPoints().forEach(point => point.spring.setForce(point.spring.position.multiply(0)));
+        this.applyLinkForces();
+        this.applyFieldForces();
+    }
+
+    // Damped springs along each link
+    applyLinkForces() {
+        if (!this.network.enabled) return;
+
+        this.links.forEach(link => {
+            const a = this.linkNode(link.a);
+            const b = this.linkNode(link.b);
+            const delta = b.position.subtract(a.position);
+            const length = delta.magnitude();
+            if (length === 0) return;
+
+            const dir = delta.divide(length);
+            const closing = b.velocity.subtract(a.velocity).dot(dir);
+            const force = dir.multiply(link.stiffness * (length - link.restLength) + link.damping * closing);
+            if (a.spring) a.spring.setForce(a.spring.force.add(force));
+            if (b.spring) b.spring.setForce(b.spring.force.subtract(force));
+        });
+    }
+
+    applyFieldForces() {
+        const fields = this.forces.filter(field => field.enabled !== false);
+        if (fields.length === 0) return;
+        if (fields.some(field => field.type === 'wind')) this.updateGusts();
+
+        this.springPoints().forEach((point, index) => {
+            const spring = point.spring;
+            spring.setForce(spring.force.add(this.fieldForce(fields, spring, index)));
+        });
+    }
+
+    // Total force of `fields` on anything with a position, velocity and mass;
+    // index picks its gust noise
+    fieldForce(fields, body, index) {
+        const context = {
+            bezier: this,
+            index,
+            time: this.stepCount * this.fixedStep,
+            gust: this.gusts[index] || [0, 0]
+        };
+        return fields.reduce(
+            (sum, field) => sum.add(InteractiveBezier.forceFields[field.type](field, body, context)),
+            body.position.multiply(0)
+        );
+    }
+
+    // One [along, across] noise pair per moving point (spring points, then rope
+    // particles) so wind flutters each one differently. Ornstein-Uhlenbeck steps
+    // with unit variance that decorrelate over about a third of a second, drawn
+    // from the seeded generator.
+    updateGusts() {
+        const rate = 3;
+        const dt = this.fixedStep;
+        const kick = Math.sqrt(6 * rate * dt);
+        const count = this.springPoints().length + this.ropes.reduce((sum, rope) => sum + rope.count, 0);
+        const gusts = [];
+        for (let i = 0; i < count; i++) {
+            gusts.push((this.gusts[i] || [0, 0]).map(g => g - g * rate * dt + (this.random() * 2 - 1) * kick));
+        }
+        this.gusts = gusts;
+    }
+
+    // Projects links that left their allowed length range back onto it, moving
+    // each end by its share of the inverse mass
+    enforceLinkLengths() {
+        if (!this.network.enabled) return;
+
+        this.links.forEach(link => {
+            if (link.maxStretch === null) return;
+            const a = this.linkNode(link.a);
+            const b = this.linkNode(link.b);
+            const delta = b.position.subtract(a.position);
+            const length = delta.magnitude();
+            const min = link.restLength * (1 - link.maxStretch);
+            const max = link.restLength * (1 + link.maxStretch);
+            if (length === 0 || (length >= min && length <= max)) return;
+
+            const wa = a.spring ? 1 / a.spring.mass : 0;
+            const wb = b.spring ? 1 / b.spring.mass : 0;
+            if (wa + wb === 0) return;
+
+            // Velocity along the link goes too, or the ends would carry on past the
+            // limit and jitter against it
+            const correction = delta.multiply((length - Utils.clamp(length, min, max)) / length / (wa + wb));
+            const direction = delta.divide(length);
+            const settle = (spring, shift) => {
+                spring.position = spring.position.add(shift);
+                spring.velocity = spring.velocity.subtract(direction.multiply(spring.velocity.dot(direction)));
+            };
+            if (a.spring) settle(a.spring, correction.multiply(wa));
+            if (b.spring) settle(b.spring, correction.multiply(-wb));
+        });
+    }
+
+    getLinkSegments() {
+        return this.links.map(link => {
+            const a = this.controlPoint(link.a);
+            const b = this.controlPoint(link.b);
+            return { a, b, strain: a.distanceTo(b) / link.restLength - 1 };
+        });
+    }
+
+    update(dt) {
+        if (dt === undefined && this.deterministic) {
+            dt = this.fixedStep;
+        } else if (dt === undefined) {
+            const now = performance.now();
+            dt = (now - this.lastUpdateTime) / 1000;
+            this.lastUpdateTime = now;
+        }
+
+        this.accumulator += Math.min(dt, this.fixedStep * this.maxSubSteps);
+        while (this.accumulator >= this.fixedStep) {
+            this.step();
+            this.accumulator -= this.fixedStep;
+        }
+
+        const alpha = this.interpolate ? this.accumulator / this.fixedStep : 1;
+        this.springPoints().forEach(point => point.setInterpolation(alpha));
+    }
+
+    step() {
+        this.accumulateForces();
+        if (this.ropeMode) {
+            this.endpoints.filter(endpoint => !endpoint.pinned).forEach(endpoint => endpoint.update(this.fixedStep));
+            this.stepRopes();
+        } else {
+            this.springPoints().forEach(point => point.update(this.fixedStep));
+            this.enforceLinkLengths();
+        }
+        this.stepCount++;
+    }
+
+    // Inputs use plain coordinate arrays so streams can be stored as JSON:
+    // { offset: [x, y], handles: { index: [x, y] }, anchors: { index: [x, y] } }
+    applyInput(input) {
+        if (input.offset) this.setInputOffset(this.vectorFrom(input.offset));
+        Object.entries(input.anchors || {}).forEach(([index, coords]) => {
+            this.setAnchor(Number(index), this.vectorFrom(coords));
+        });
+        Object.entries(input.handles || {}).forEach(([index, coords]) => {
+            this.setHandleTarget(Number(index), this.vectorFrom(coords));
+        });
+    }
+
+    // Headless run over a stream of { dt, input } frames, returning the physics
+    // (not interpolated) handle positions after each frame. Deterministic runs
+    // take one fixed step per frame and ignore the frame dts.
+    simulate(frames) {
+        return frames.map(frame => {
+            if (frame.input) this.applyInput(frame.input);
+            this.update(this.deterministic ? undefined : frame.dt);
+            return this.handles.map(handle => handle.spring.position);
+        });
+    }
+
+    reset() {
+        this.handles.forEach(handle => handle.reset());
+        this.endpoints.forEach((endpoint, which) => this.syncEndpoint(which, true));
+        this.gusts = [];
+        if (this.ropeMode) this.buildRopes();
+    }
+
+    // With an index only that handle changes; otherwise every handle does, and
+    // the parameters become the defaults for handles created later. Endpoints
+    // follow the spring settings but keep their own influence and offset scale.
+    // For every handle at once the offset scale is P1's, and P2-type handles
+    // keep mirroring it at the ratio the curve was created with.
+    setSpringParams(params, index = null) {
+        if (index !== null) {
+            if (this.handles[index]) this.handles[index].setSpringParams(params);
+            return;
+        }
+
+        const { influence, offsetScale, ...spring } = params;
+        if (offsetScale !== undefined) {
+            this.handleOffsetScale = [offsetScale, offsetScale * this.offsetScaleMirror];
+        }
+        this.handles.forEach((handle, i) => handle.setSpringParams(
+            offsetScale === undefined ? params : { ...params, offsetScale: this.handleOffsetScale[i % 2] }
+        ));
+        this.endpoints.forEach(endpoint => endpoint.setSpringParams(spring));
+        ['stiffness', 'damping'].forEach(key => {
+            if (params[key] === undefined) return;
+            this.springConfig[key] = this.springConfig[key + 'X'] = this.springConfig[key + 'Y'] = params[key];
+        });
+        ['mass', 'integrator', 'stiffnessX', 'stiffnessY', 'dampingX', 'dampingY', 'axisAngle'].forEach(key => {
+            if (params[key] !== undefined) this.springConfig[key] = params[key];
+        });
+        if (params.influence !== undefined) this.handleInfluence.fill(params.influence);
+    }
+
+    getSpringParams(index = null) {
+        const handle = this.handles[index ?? 0];
+        return index !== null ? handle.getSpringParams() : { ...handle.getSpringParams(), ...this.springConfig };
+    }
+
+    setEndpointParams(params) {
+        this.endpoints.forEach(endpoint => endpoint.setSpringParams(params));
+    }
+
+    getEndpointParams() {
+        return this.endpoints[0].getSpringParams();
+    }
+
+    getRenderData() {
+        const spline = this.getSpline();
+        return {
+            curve: spline.segments[0],
+            spline,
+            segments: spline.segments,
+            points: spline.sample(this.curveResolution),
+            tangents: spline.getTangentLines(this.tangentCount, this.tangentLength, {
+                spacing: this.tangentSpacing
+            }),
+            controlPoints: {
+                p0: this.anchorPosition(0),
+                p1: this.springP1.position,
+                p2: this.springP2.position,
+                p3: this.anchorPosition(this.segmentCount)
+            },
+            anchors: this.anchors.map((anchor, i) => this.anchorPosition(i)),
+            pinned: this.anchors.map((anchor, i) => this.isAnchorPinned(i)),
+            ropes: this.ropes.map(rope => rope.positions.slice()),
+            handles: this.handles.map(handle => handle.position),
+            continuity: this.continuity.slice(),
+            links: this.network.enabled ? this.getLinkSegments() : [],
+            forces: this.forces.filter(field => field.enabled !== false),
+            springs: {
+                p1Velocity: this.springP1.spring.velocity,
+                p2Velocity: this.springP2.spring.velocity,
+                p1Energy: this.springP1.spring.totalEnergy(),
+                p2Energy: this.springP2.spring.totalEnergy()
+            }
+        };
+    }
+
+    resize(width, height) {
+        const scaleX = width / this.width;
+        const scaleY = height / this.height;
+        this.width = width;
+        this.height = height;
+
+        this.anchors = this.anchors.map(a => new Vector2D(a.x * scaleX, a.y * scaleY));
+        this.handles.forEach(handle => {
+            handle.setBasePosition(
+                handle.basePosition.x * scaleX,
+                handle.basePosition.y * scaleY
+            );
+        });
+        this.endpoints.forEach((endpoint, which) => this.syncEndpoint(which));
+        this.rebuildConstraints();
+    }
+}
+
+InteractiveBezier.topologies = {
+    // Neighbours along the control polygon: P0-P1, P1-P2, P2-P3, ...
+    polygon(count) {
+        const pairs = [];
+        for (let k = 0; k < count - 1; k++) pairs.push([k, k + 1]);
+        return pairs;
+    },
+
+    // Polygon plus the diagonals of each segment, which resist shearing
+    braced(count) {
+        const pairs = InteractiveBezier.topologies.polygon(count);
+        for (let k = 0; k + 3 < count; k += 3) pairs.push([k, k + 2], [k + 1, k + 3]);
+        return pairs;
+    }
+};
+
+// Each field returns the force on one spring. Directions and positions are in
+// the xy-plane; 3D curves feel them with no depth component.
+InteractiveBezier.forceFields = {
+    // Constant acceleration: { strength, angle } with angle 90 degrees pointing down
+    gravity(field, spring, { bezier }) {
+        const angle = field.angle ?? Math.PI / 2;
+        const g = field.strength * spring.mass;
+        return bezier.vectorFrom([Math.cos(angle) * g, Math.sin(angle) * g]);
+    },
+
+    // Push along angle whose strength and direction waver with the gust noise:
+    // { strength, angle, turbulence } with turbulence in [0, 1]
+    wind(field, spring, { bezier, gust }) {
+        const angle = field.angle ?? 0;
+        const turbulence = field.turbulence ?? 0.5;
+        const along = field.strength * (1 + turbulence * gust[0]);
+        const across = field.strength * turbulence * gust[1] * 0.5;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return bezier.vectorFrom([along * cos - across * sin, along * sin + across * cos]);
+    },
+
+    // Quadratic air drag opposing the velocity: { coefficient }
+    drag(field, spring) {
+        return spring.velocity.multiply(-field.coefficient * spring.velocity.magnitude());
+    },
+
+    // Pull towards position, fading beyond radius: { position, strength, radius }
+    attractor(field, spring, { bezier }) {
+        const position = bezier.vectorFrom([field.position.x, field.position.y, spring.position.z]);
+        const delta = position.subtract(spring.position);
+        const distance = delta.magnitude();
+        if (distance < 1e-6) return delta.multiply(0);
+
+        const ratio = distance / (field.radius ?? 150);
+        return delta.multiply(field.strength / (distance * (1 + ratio * ratio)));
+    },
+
+    repulsor(field, spring, context) {
+        return InteractiveBezier.forceFields.attractor(field, spring, context).multiply(-1);
+    }
+};
+
+// Interactive bezier whose control points live in 3D space. Input offsets may be
+// Vector2D (screen plane) or Vector3D (e.g. already mapped through a camera).
+class InteractiveBezier3D extends InteractiveBezier {
+    initControlPoints(config) {
+        const margin = 100;
+        const depth = config.depth ?? this.height * 0.5;
+
+        const p0 = config.p0 || new Vector3D(margin, this.height / 2, 0);
+        const p3 = config.p3 || new Vector3D(this.width - margin, this.height / 2, 0);
+
+        const p1Default = config.p1 || new Vector3D(this.width * 0.33, this.height * 0.25, depth * 0.5);
+        const p2Default = config.p2 || new Vector3D(this.width * 0.66, this.height * 0.75, -depth * 0.5);
+
+        this.anchors = [p0, p3];
+        this.continuity = [null, null];
+        this.handles = [
+            this.createHandle(p1Default, 0),
+            this.createHandle(p2Default, 1)
+        ];
+    }
+
+    createSpringPoint(position, params) {
+        return new SpringPoint3D(position.x, position.y, position.z || 0, { ...this.springConfig, ...params });
+    }
+
+    createSegment(p0, p1, p2, p3) {
+        return new CubicBezier3D(p0, p1, p2, p3);
+    }
+
+    vectorFrom(coords) {
+        return new Vector3D(coords[0], coords[1], coords[2] ?? 0);
+    }
+
+    resize(width, height) {
+        const scaleX = width / this.width;
+        const scaleY = height / this.height;
+        this.width = width;
+        this.height = height;
+
+        this.anchors = this.anchors.map(a => new Vector3D(a.x * scaleX, a.y * scaleY, a.z));
+        this.handles.forEach(handle => {
+            handle.setBasePosition(handle.basePosition.x * scaleX, handle.basePosition.y * scaleY);
+        });
+        this.endpoints.forEach((endpoint, which) => this.syncEndpoint(which));
+        this.rebuildConstraints();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BezierCurve, CubicBezier, CubicBezier3D, BezierSpline,
+        SpringPhysics, SpringPoint, SpringPoint3D, VerletRope,
+        InteractiveBezier, InteractiveBezier3D
+    };
+}
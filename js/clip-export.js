@@ -0,0 +1,202 @@
+'use strict';
+
+// In Node the curve types come from the sibling modules instead of page globals
+if (typeof module !== 'undefined' && module.exports && typeof InputPlayer === 'undefined') {
+    Object.assign(globalThis, require('./utils.js'), require('./bezier-math.js'), require('./input-recorder.js'));
+}
+
+// Uncompressed (STORE) zip archive. PNG data is already deflated, so
+// compressing it again would cost time for next to no gain.
+class ZipArchive {
+    constructor() {
+        this.files = [];
+    }
+
+    add(name, bytes) {
+        this.files.push({ name: new TextEncoder().encode(name), bytes, crc: ZipArchive.crc32(bytes) });
+    }
+
+    toBytes(date = new Date()) {
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        const locals = [];
+        const centrals = [];
+        let offset = 0;
+
+        // Local and central headers share everything from the version field to the name length
+        const common = (view, at, file) => {
+            view.setUint16(at, 20, true);
+            view.setUint16(at + 2, 0x0800, true);
+            view.setUint16(at + 4, 0, true);
+            view.setUint16(at + 6, time, true);
+            view.setUint16(at + 8, day, true);
+            view.setUint32(at + 10, file.crc, true);
+            view.setUint32(at + 14, file.bytes.length, true);
+            view.setUint32(at + 18, file.bytes.length, true);
+            view.setUint16(at + 22, file.name.length, true);
+        };
+
+        this.files.forEach(file => {
+            const local = new Uint8Array(30 + file.name.length);
+            const localView = new DataView(local.buffer);
+            localView.setUint32(0, 0x04034b50, true);
+            common(localView, 4, file);
+            local.set(file.name, 30);
+
+            const central = new Uint8Array(46 + file.name.length);
+            const centralView = new DataView(central.buffer);
+            centralView.setUint32(0, 0x02014b50, true);
+            centralView.setUint16(4, 20, true);
+            common(centralView, 6, file);
+            centralView.setUint32(42, offset, true);
+            central.set(file.name, 46);
+
+            locals.push(local, file.bytes);
+            centrals.push(central);
+            offset += local.length + file.bytes.length;
+        });
+
+        const directorySize = centrals.reduce((sum, part) => sum + part.length, 0);
+        const end = new Uint8Array(22);
+        const endView = new DataView(end.buffer);
+        endView.setUint32(0, 0x06054b50, true);
+        endView.setUint16(8, this.files.length, true);
+        endView.setUint16(10, this.files.length, true);
+        endView.setUint32(12, directorySize, true);
+        endView.setUint32(16, offset, true);
+
+        const parts = locals.concat(centrals, [end]);
+        const bytes = new Uint8Array(offset + directorySize + end.length);
+        let position = 0;
+        parts.forEach(part => {
+            bytes.set(part, position);
+            position += part.length;
+        });
+        return bytes;
+    }
+
+    toBlob() {
+        return new Blob([this.toBytes()], { type: 'application/zip' });
+    }
+
+    static crc32(bytes) {
+        if (!ZipArchive.crcTable) {
+            ZipArchive.crcTable = new Uint32Array(256).map((_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                return c;
+            });
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipArchive.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+// Renders clips offline: a recording is replayed into the curve at a fixed
+// frame rate and each frame is drawn by `draw(ctx)` into an offscreen canvas
+// of width x height CSS pixels at the given pixel scale. Physics time follows
+// clip time exactly, however slowly the frames render.
+class ClipRenderer {
+    constructor(bezier, draw, width, height, fps = 30, scale = 1) {
+        this.bezier = bezier;
+        this.draw = draw;
+        this.fps = fps;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = Math.round(width * scale);
+        this.canvas.height = Math.round(height * scale);
+        this.ctx = this.canvas.getContext('2d');
+        this.ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    }
+
+    frameCount(recording) {
+        return Math.max(1, Math.round(recording.duration * this.fps));
+    }
+
+    // Draws frame after frame, yielding each index once its frame is on the canvas
+    *frames(recording) {
+        const player = new InputPlayer(recording);
+        const bezier = this.bezier;
+        player.seek(0, bezier);
+
+        const count = this.frameCount(recording);
+        for (let i = 0; i < count; i++) {
+            const end = Math.min((i + 1) / this.fps, recording.duration);
+            player.advance(end - player.time, bezier);
+            this.draw(this.ctx);
+            yield i;
+        }
+    }
+
+    async toPNGSequence(recording, onProgress = () => {}) {
+        const zip = new ZipArchive();
+        const count = this.frameCount(recording);
+        const digits = String(count).length;
+
+        for (const i of this.frames(recording)) {
+            const blob = await new Promise(resolve => this.canvas.toBlob(resolve, 'image/png'));
+            zip.add(`frame-${String(i + 1).padStart(digits, '0')}.png`, new Uint8Array(await blob.arrayBuffer()));
+            onProgress((i + 1) / count);
+        }
+        return zip.toBlob();
+    }
+
+    // MediaRecorder timestamps frames by wall clock, so frames are handed over
+    // at the clip's frame rate and the encode takes as long as the clip itself
+    async toWebM(recording, onProgress = () => {}) {
+        const stream = this.canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, { mimeType: ClipRenderer.webmType() });
+        const chunks = [];
+        recorder.ondataavailable = e => { if (e.data.size > 0) chunks.push(e.data); };
+        const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+        const count = this.frameCount(recording);
+        const interval = 1000 / this.fps;
+        recorder.start();
+        for (const i of this.frames(recording)) {
+            track.requestFrame();
+            onProgress((i + 1) / count);
+            await new Promise(resolve => setTimeout(resolve, interval));
+        }
+        recorder.stop();
+        await stopped;
+        track.stop();
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+
+    // First WebM flavour the browser can record, or null when it cannot record WebM
+    static webmType() {
+        if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null;
+        return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    // A recording of scripted input sampled at the frame rate, starting from the
+    // given anchor pose, so scripted clips play back like recorded ones
+    static scriptedRecording(name, duration, fps, anchors) {
+        const script = ClipRenderer.scripts[name];
+        const events = [];
+        const count = Math.round(duration * fps);
+        for (let i = 0; i <= count; i++) {
+            events.push({ time: i / fps, input: script(i / fps) });
+        }
+        return { version: 1, source: 'script', anchors, duration, events };
+    }
+}
+
+// Follow-mode offsets over time, in pixels from the canvas centre
+ClipRenderer.scripts = {
+    // Held off to one side, then let go
+    pluck: t => ({ offset: t < 0.4 ? [160, -120] : [0, 0] }),
+    // A slow ellipse around the centre
+    orbit: t => ({ offset: [140 * Math.cos(2 * Math.PI * t / 3), 90 * Math.sin(2 * Math.PI * t / 3)] }),
+    // Side to side, faster than the springs can follow
+    shake: t => ({ offset: [Math.sign(Math.sin(2 * Math.PI * t * 2.5)) * 120, 0] })
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ZipArchive, ClipRenderer };
+}
@@ -1,535 +1,2378 @@
-'use strict';
-
-const App = {
-    canvas: null,
-    ctx: null,
-    width: 0,
-    height: 0,
-    dpr: 1,
-    bezier: null,
-    mouse: { x: 0, y: 0, prevX: 0, prevY: 0 },
-    isDragging: false,
-    draggedPoint: null,
-    interactionMode: 'follow',
-    isRunning: true,
-    lastTime: 0,
-    fpsCounter: null,
-    
-    options: {
-        showGrid: true,
-        showHandles: true,
-        showTangents: true,
-        showPoints: true,
-        showGlow: true,
-        gradientCurve: true,
-        curveResolution: 100,
-        tangentCount: 10,
-        tangentLength: 40,
-        curveWidth: 3,
-        curveColor1: '#00d4ff',
-        curveColor2: '#ff00aa',
-        tangentColor: '#ff8800'
-    },
-
-    presets: {
-        bouncy: { stiffness: 300, damping: 8, mass: 0.5 },
-        smooth: { stiffness: 150, damping: 12, mass: 1 },
-        stiff: { stiffness: 400, damping: 20, mass: 1 },
-        loose: { stiffness: 50, damping: 5, mass: 1 },
-        heavy: { stiffness: 100, damping: 15, mass: 3 },
-        snappy: { stiffness: 500, damping: 25, mass: 0.5 }
-    },
-
-    viewMode: 'curve'
-};
-
-function init() {
-    App.canvas = document.getElementById('mainCanvas');
-    App.ctx = App.canvas.getContext('2d');
-    App.dpr = window.devicePixelRatio || 1;
-    App.fpsCounter = Utils.createFPSCounter();
-
-    handleResize();
-    initBezierSystem();
-    setupEventListeners();
-    setupUIControls();
-
-    setTimeout(() => {
-        document.getElementById('loadingOverlay').classList.add('hidden');
-    }, 500);
-
-    App.lastTime = performance.now();
-    requestAnimationFrame(animate);
-}
-
-function initBezierSystem() {
-    const margin = Math.min(App.width, App.height) * 0.1;
-    
-    App.bezier = new InteractiveBezier({
-        width: App.width,
-        height: App.height,
-        stiffness: 150,
-        damping: 12,
-        mass: 1,
-        curveResolution: App.options.curveResolution,
-        tangentCount: App.options.tangentCount,
-        tangentLength: App.options.tangentLength,
-        p0: new Vector2D(margin, App.height / 2),
-        p3: new Vector2D(App.width - margin, App.height / 2),
-        p1: new Vector2D(App.width * 0.33, App.height * 0.3),
-        p2: new Vector2D(App.width * 0.66, App.height * 0.7)
-    });
-}
-
-function setupEventListeners() {
-    window.addEventListener('resize', Utils.debounce(handleResize, 100));
-    App.canvas.addEventListener('mousemove', handleMouseMove);
-    App.canvas.addEventListener('mousedown', handleMouseDown);
-    App.canvas.addEventListener('mouseup', handleMouseUp);
-    App.canvas.addEventListener('mouseleave', handleMouseLeave);
-    document.addEventListener('mousemove', updateCustomCursor);
-    document.addEventListener('keydown', handleKeyDown);
-    App.canvas.addEventListener('contextmenu', e => e.preventDefault());
-}
-
-function handleResize() {
-    const container = App.canvas.parentElement;
-    App.width = container.clientWidth;
-    App.height = container.clientHeight;
-
-    App.canvas.width = App.width * App.dpr;
-    App.canvas.height = App.height * App.dpr;
-    App.canvas.style.width = App.width + 'px';
-    App.canvas.style.height = App.height + 'px';
-    App.ctx.setTransform(App.dpr, 0, 0, App.dpr, 0, 0);
-
-    if (App.bezier) {
-        App.bezier.resize(App.width, App.height);
-    }
-}
-
-function handleMouseMove(e) {
-    const rect = App.canvas.getBoundingClientRect();
-    App.mouse.prevX = App.mouse.x;
-    App.mouse.prevY = App.mouse.y;
-    App.mouse.x = e.clientX - rect.left;
-    App.mouse.y = e.clientY - rect.top;
-
-    document.getElementById('mouseDisplay').textContent = 
-        `${Math.round(App.mouse.x)}, ${Math.round(App.mouse.y)}`;
-
-    if (App.interactionMode === 'follow') {
-        handleFollowMode();
-    } else if (App.interactionMode === 'drag' && App.isDragging && App.draggedPoint) {
-        handleDragMode();
-    }
-}
-
-function handleFollowMode() {
-    const centerX = App.width / 2;
-    const centerY = App.height / 2;
-    const offsetX = (App.mouse.x - centerX) * 0.5;
-    const offsetY = (App.mouse.y - centerY) * 0.5;
-    App.bezier.setInputOffset(new Vector2D(offsetX, offsetY));
-}
-
-function handleDragMode() {
-    const mousePos = new Vector2D(App.mouse.x, App.mouse.y);
-    
-    if (App.draggedPoint === 'p1') {
-        App.bezier.springP1.setTarget(mousePos);
-    } else if (App.draggedPoint === 'p2') {
-        App.bezier.springP2.setTarget(mousePos);
-    } else if (App.draggedPoint === 'p0') {
-        App.bezier.p0 = mousePos;
-    } else if (App.draggedPoint === 'p3') {
-        App.bezier.p3 = mousePos;
-    }
-}
-
-function handleMouseDown(e) {
-    if (App.interactionMode === 'drag') {
-        const mousePos = new Vector2D(App.mouse.x, App.mouse.y);
-        const hitRadius = 20;
-
-        const points = [
-            { name: 'p0', pos: App.bezier.p0 },
-            { name: 'p1', pos: App.bezier.springP1.position },
-            { name: 'p2', pos: App.bezier.springP2.position },
-            { name: 'p3', pos: App.bezier.p3 }
-        ];
-
-        for (const point of points) {
-            if (mousePos.distanceTo(point.pos) < hitRadius) {
-                App.isDragging = true;
-                App.draggedPoint = point.name;
-                document.getElementById('customCursor').classList.add('dragging');
-                break;
-            }
-        }
-    }
-}
-
-function handleMouseUp() {
-    App.isDragging = false;
-    App.draggedPoint = null;
-    document.getElementById('customCursor').classList.remove('dragging');
-}
-
-function handleMouseLeave() {
-    App.isDragging = false;
-    App.draggedPoint = null;
-    document.getElementById('customCursor').classList.remove('dragging');
-}
-
-function updateCustomCursor(e) {
-    const cursor = document.getElementById('customCursor');
-    const cursorDot = document.getElementById('customCursorDot');
-    cursor.style.left = e.clientX + 'px';
-    cursor.style.top = e.clientY + 'px';
-    cursorDot.style.left = e.clientX + 'px';
-    cursorDot.style.top = e.clientY + 'px';
-}
-
-function handleKeyDown(e) {
-    if (e.target.tagName === 'INPUT') return;
-
-    switch (e.key.toLowerCase()) {
-        case 'r': resetSimulation(); break;
-        case 'p': togglePanel(); break;
-        case 'g': toggleOption('showGrid'); break;
-        case 't': toggleOption('showTangents'); break;
-        case 'd': toggleInteractionMode(); break;
-        case ' ':
-            e.preventDefault();
-            App.isRunning = !App.isRunning;
-            if (App.isRunning) {
-                App.lastTime = performance.now();
-                requestAnimationFrame(animate);
-            }
-            break;
-        case 'escape':
-            document.getElementById('controlPanel').classList.add('collapsed');
-            break;
-    }
-}
-
-function setupUIControls() {
-    document.getElementById('resetBtn').addEventListener('click', resetSimulation);
-    document.getElementById('togglePanel').addEventListener('click', togglePanel);
-    document.getElementById('panelClose').addEventListener('click', togglePanel);
-
-    document.querySelectorAll('.view-option').forEach(btn => {
-        btn.addEventListener('click', () => {
-            document.querySelectorAll('.view-option').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            App.viewMode = btn.dataset.view;
-            updateViewMode();
-        });
-    });
-
-    setupSlider('stiffnessSlider', 'stiffnessValue', v => App.bezier.setSpringParams({ stiffness: parseFloat(v) }));
-    setupSlider('dampingSlider', 'dampingValue', v => App.bezier.setSpringParams({ damping: parseFloat(v) }));
-    setupSlider('massSlider', 'massValue', v => App.bezier.setSpringParams({ mass: parseFloat(v) }), 1);
-
-    setupSlider('resolutionSlider', 'resolutionValue', v => {
-        App.options.curveResolution = parseInt(v);
-        App.bezier.curveResolution = parseInt(v);
-    });
-    setupSlider('tangentCountSlider', 'tangentCountValue', v => {
-        App.options.tangentCount = parseInt(v);
-        App.bezier.tangentCount = parseInt(v);
-    });
-    setupSlider('tangentLengthSlider', 'tangentLengthValue', v => {
-        App.options.tangentLength = parseInt(v);
-        App.bezier.tangentLength = parseInt(v);
-    });
-    setupSlider('curveWidthSlider', 'curveWidthValue', v => App.options.curveWidth = parseInt(v));
-
-    setupToggle('showGrid', c => App.options.showGrid = c);
-    setupToggle('showHandles', c => App.options.showHandles = c);
-    setupToggle('showTangents', c => App.options.showTangents = c);
-    setupToggle('showPoints', c => App.options.showPoints = c);
-    setupToggle('showGlow', c => App.options.showGlow = c);
-    setupToggle('gradientCurve', c => App.options.gradientCurve = c);
-
-    document.getElementById('curveColor1').addEventListener('input', e => App.options.curveColor1 = e.target.value);
-    document.getElementById('curveColor2').addEventListener('input', e => App.options.curveColor2 = e.target.value);
-    document.getElementById('tangentColor').addEventListener('input', e => App.options.tangentColor = e.target.value);
-
-    document.querySelectorAll('.preset-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const preset = App.presets[btn.dataset.preset];
-            if (preset) applyPreset(preset, btn);
-        });
-    });
-
-    document.getElementById('statsToggle').addEventListener('click', () => {
-        document.getElementById('statsCollapse').classList.toggle('collapsed');
-        document.getElementById('statsArrow').classList.toggle('collapsed');
-    });
-}
-
-function setupSlider(sliderId, valueId, callback, decimals = 0) {
-    const slider = document.getElementById(sliderId);
-    const display = document.getElementById(valueId);
-    slider.addEventListener('input', () => {
-        display.textContent = decimals > 0 ? parseFloat(slider.value).toFixed(decimals) : slider.value;
-        callback(slider.value);
-    });
-}
-
-function setupToggle(toggleId, callback) {
-    document.getElementById(toggleId).addEventListener('change', e => callback(e.target.checked));
-}
-
-function applyPreset(preset, button) {
-    document.getElementById('stiffnessSlider').value = preset.stiffness;
-    document.getElementById('stiffnessValue').textContent = preset.stiffness;
-    document.getElementById('dampingSlider').value = preset.damping;
-    document.getElementById('dampingValue').textContent = preset.damping;
-    document.getElementById('massSlider').value = preset.mass;
-    document.getElementById('massValue').textContent = preset.mass.toFixed(1);
-    App.bezier.setSpringParams(preset);
-    document.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
-    button.classList.add('active');
-}
-
-function resetSimulation() {
-    App.bezier.springP1.reset();
-    App.bezier.springP2.reset();
-}
-
-function togglePanel() {
-    document.getElementById('controlPanel').classList.toggle('collapsed');
-}
-
-function toggleOption(option) {
-    App.options[option] = !App.options[option];
-    const toggle = document.getElementById(option);
-    if (toggle) toggle.checked = App.options[option];
-}
-
-function toggleInteractionMode() {
-    App.interactionMode = App.interactionMode === 'follow' ? 'drag' : 'follow';
-    document.getElementById('modeDisplay').textContent = App.interactionMode === 'follow' ? 'Follow' : 'Drag';
-    
-    if (App.interactionMode === 'drag') {
-        App.bezier.springP1.setTarget(App.bezier.springP1.basePosition);
-        App.bezier.springP2.setTarget(App.bezier.springP2.basePosition);
-    }
-}
-
-function updateViewMode() {
-    const info = document.getElementById('infoOverlay');
-    const curve = document.getElementById('curveInfo');
-    const panel = document.getElementById('controlPanel');
-
-    switch (App.viewMode) {
-        case 'minimal':
-            info.style.display = 'none';
-            curve.style.display = 'none';
-            panel.classList.add('collapsed');
-            break;
-        case 'analysis':
-            info.style.display = 'block';
-            curve.style.display = 'block';
-            break;
-        default:
-            info.style.display = 'block';
-            curve.style.display = 'none';
-    }
-}
-
-function animate(currentTime) {
-    if (!App.isRunning) return;
-
-    const dt = (currentTime - App.lastTime) / 1000;
-    App.lastTime = currentTime;
-
-    App.bezier.update(dt);
-    render();
-
-    const fps = App.fpsCounter.update();
-    const fpsEl = document.getElementById('fpsDisplay');
-    fpsEl.textContent = fps;
-    fpsEl.className = 'info-value ' + (fps >= 55 ? 'good' : fps >= 30 ? 'warning' : 'bad');
-
-    updateStats();
-    requestAnimationFrame(animate);
-}
-
-function updateStats() {
-    const data = App.bezier.getRenderData();
-    document.getElementById('p1VelocityStat').textContent = Math.round(data.springs.p1Velocity.magnitude());
-    document.getElementById('p2VelocityStat').textContent = Math.round(data.springs.p2Velocity.magnitude());
-    document.getElementById('p1EnergyStat').textContent = Math.round(data.springs.p1Energy);
-    document.getElementById('p2EnergyStat').textContent = Math.round(data.springs.p2Energy);
-    document.getElementById('arcLengthDisplay').textContent = Math.round(data.curve.arcLength()) + ' px';
-}
-
-function render() {
-    const ctx = App.ctx;
-    const w = App.width;
-    const h = App.height;
-
-    const bg = ctx.createRadialGradient(w/2, h/2, 0, w/2, h/2, Math.max(w, h) * 0.7);
-    bg.addColorStop(0, '#12121a');
-    bg.addColorStop(0.5, '#0a0a0f');
-    bg.addColorStop(1, '#050508');
-    ctx.fillStyle = bg;
-    ctx.fillRect(0, 0, w, h);
-
-    if (App.options.showGrid) drawGrid(ctx, w, h);
-
-    const data = App.bezier.getRenderData();
-    const { p0, p1, p2, p3 } = data.controlPoints;
-
-    if (App.options.showHandles) drawControlHandles(ctx, p0, p1, p2, p3);
-    drawCurve(ctx, data.points);
-    if (App.options.showTangents) drawTangents(ctx, data.tangents);
-    if (App.options.showPoints) drawControlPoints(ctx, p0, p1, p2, p3);
-}
-
-function drawGrid(ctx, w, h) {
-    const size = 50;
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.03)';
-    ctx.lineWidth = 1;
-
-    for (let x = 0; x <= w; x += size) {
-        ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, h); ctx.stroke();
-    }
-    for (let y = 0; y <= h; y += size) {
-        ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(w, y); ctx.stroke();
-    }
-
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
-    ctx.beginPath();
-    ctx.moveTo(w/2, 0); ctx.lineTo(w/2, h);
-    ctx.moveTo(0, h/2); ctx.lineTo(w, h/2);
-    ctx.stroke();
-}
-
-function drawControlHandles(ctx, p0, p1, p2, p3) {
-    ctx.save();
-    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
-    ctx.lineWidth = 1;
-    ctx.setLineDash([5, 5]);
-
-    ctx.beginPath();
-    ctx.moveTo(p0.x, p0.y); ctx.lineTo(p1.x, p1.y);
-    ctx.stroke();
-
-    ctx.beginPath();
-    ctx.moveTo(p2.x, p2.y); ctx.lineTo(p3.x, p3.y);
-    ctx.stroke();
-
-    ctx.restore();
-}
-
-function drawCurve(ctx, points) {
-    if (points.length < 2) return;
-
-    ctx.save();
-
-    if (App.options.showGlow) {
-        ctx.shadowBlur = 15;
-        ctx.shadowColor = App.options.curveColor1;
-    }
-
-    ctx.lineWidth = App.options.curveWidth;
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-
-    if (App.options.gradientCurve) {
-        for (let i = 0; i < points.length - 1; i++) {
-            const t = i / (points.length - 1);
-            ctx.strokeStyle = ColorUtils.lerp(App.options.curveColor1, App.options.curveColor2, t);
-            ctx.beginPath();
-            ctx.moveTo(points[i].x, points[i].y);
-            ctx.lineTo(points[i + 1].x, points[i + 1].y);
-            ctx.stroke();
-        }
-    } else {
-        ctx.strokeStyle = App.options.curveColor1;
-        ctx.beginPath();
-        ctx.moveTo(points[0].x, points[0].y);
-        for (let i = 1; i < points.length; i++) {
-            ctx.lineTo(points[i].x, points[i].y);
-        }
-        ctx.stroke();
-    }
-
-    ctx.restore();
-}
-
-function drawTangents(ctx, tangents) {
-    ctx.save();
-
-    if (App.options.showGlow) {
-        ctx.shadowBlur = 8;
-        ctx.shadowColor = App.options.tangentColor;
-    }
-
-    ctx.strokeStyle = App.options.tangentColor;
-    ctx.lineWidth = 2;
-    ctx.lineCap = 'round';
-
-    tangents.forEach(t => {
-        ctx.beginPath();
-        ctx.moveTo(t.start.x, t.start.y);
-        ctx.lineTo(t.end.x, t.end.y);
-        ctx.stroke();
-
-        ctx.fillStyle = App.options.tangentColor;
-        ctx.beginPath();
-        ctx.arc(t.start.x, t.start.y, 3, 0, Math.PI * 2);
-        ctx.fill();
-    });
-
-    ctx.restore();
-}
-
-function drawControlPoints(ctx, p0, p1, p2, p3) {
-    const pts = [
-        { pos: p0, color: '#ffffff', label: 'P₀', fixed: true },
-        { pos: p1, color: '#00d4ff', label: 'P₁', fixed: false },
-        { pos: p2, color: '#ff00aa', label: 'P₂', fixed: false },
-        { pos: p3, color: '#ffffff', label: 'P₃', fixed: true }
-    ];
-
-    pts.forEach(pt => {
-        ctx.save();
-        const r = pt.fixed ? 10 : 12;
-
-        if (App.options.showGlow) {
-            ctx.shadowBlur = 15;
-            ctx.shadowColor = pt.color;
-        }
-
-        ctx.strokeStyle = pt.color;
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.arc(pt.pos.x, pt.pos.y, r, 0, Math.PI * 2);
-        ctx.stroke();
-
-        ctx.fillStyle = pt.fixed ? 'rgba(255,255,255,0.3)' : pt.color;
-        ctx.beginPath();
-        ctx.arc(pt.pos.x, pt.pos.y, r - 4, 0, Math.PI * 2);
-        ctx.fill();
-
-        ctx.shadowBlur = 0;
-        ctx.fillStyle = '#ffffff';
-        ctx.font = '12px JetBrains Mono, monospace';
-        ctx.textAlign = 'center';
-        ctx.fillText(pt.label, pt.pos.x, pt.pos.y - r - 8);
-
-        ctx.restore();
-    });
-}
-
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-} else {
-    init();
-}
+'use strict';
+
+const App = {
+    canvas: null,
+    ctx: null,
+    plotCtx: null,
+    diagramCtx: null,
+    energyCtx: null,
+    integratorComparison: null,
+    recorder: null,
+    player: null,
+    width: 0,
+    height: 0,
+    dpr: 1,
+    bezier: null,
+    bezier3D: null,
+    camera: null,
+    mouse: { x: 0, y: 0, prevX: 0, prevY: 0 },
+    isDragging: false,
+    draggedPoint: null,
+    cameraDrag: null,
+    selectedJoint: null,
+    springTarget: null,
+    forcePlacement: 'none',
+    probe: null,
+    interactionMode: 'follow',
+    isRunning: true,
+    lastTime: 0,
+    fpsCounter: null,
+    
+    options: {
+        showGrid: true,
+        showHandles: true,
+        showTangents: true,
+        showPoints: true,
+        showGlow: true,
+        gradientCurve: true,
+        view3D: false,
+        showBounds: true,
+        showIntersections: true,
+        showOffsets: false,
+        showComb: false,
+        showOsculating: false,
+        showInflections: false,
+        showCurvaturePlot: false,
+        combScale: 10000,
+        integrator: 'euler',
+        compareIntegrators: false,
+        interpolate: true,
+        deterministic: false,
+        offsetDistance: 30,
+        strokeProfile: 'uniform',
+        curveResolution: 100,
+        tangentCount: 10,
+        tangentLength: 40,
+        tangentSpacing: 'uniform',
+        curveWidth: 3,
+        curveColor1: '#00d4ff',
+        curveColor2: '#ff00aa',
+        tangentColor: '#ff8800'
+    },
+
+    // Ranges a loaded scene may set the numeric options to
+    optionLimits: {
+        combScale: [1000, 100000],
+        offsetDistance: [0, 200],
+        curveResolution: [10, 200],
+        tangentCount: [0, 30],
+        tangentLength: [10, 100],
+        curveWidth: [1, 10]
+    },
+
+    presets: {
+        bouncy: { stiffness: 300, damping: 8, mass: 0.5 },
+        smooth: { stiffness: 150, damping: 12, mass: 1 },
+        stiff: { stiffness: 400, damping: 20, mass: 1 },
+        loose: { stiffness: 50, damping: 5, mass: 1 },
+        heavy: { stiffness: 100, damping: 15, mass: 3 },
+        snappy: { stiffness: 500, damping: 25, mass: 0.5 }
+    },
+
+    // Stroke width multipliers over the path (u in [0, 1]) for the variable-width modes
+    strokeProfiles: {
+        uniform: () => 1,
+        taper: u => Math.sin(Math.PI * u),
+        pressure: u => Math.min(1, u / 0.15) * (1 - 0.6 * u),
+        curvature: (u, seg, t) => Utils.clamp(0.3 + seg.curvature(t) * 80, 0.3, 1.5)
+    },
+
+    // Springs between control points; switched on by Coupled Springs
+    network: { enabled: false, topology: 'polygon', stiffness: 60, damping: 2, maxStretch: 0.5 },
+
+    // Global force fields, shared by the 2D and 3D curves and toggled from the panel.
+    // Attractors and repulsors placed on the canvas are added alongside them.
+    forces: {
+        gravity: { type: 'gravity', enabled: false, strength: 1500 },
+        wind: { type: 'wind', enabled: false, strength: 400, angle: 0, turbulence: 0.5 },
+        drag: { type: 'drag', enabled: false, coefficient: 0.002 }
+    },
+
+    integratorColors: {
+        euler: '#ff8800',
+        verlet: '#00d4ff',
+        rk4: '#aa66ff',
+        analytic: '#00ff88'
+    },
+
+    // Easing view: a timing function in the unit box, previewed on sample boxes
+    easing: {
+        curve: null,
+        dragging: null,
+        duration: 1.2,
+        time: 0
+    },
+
+    preset: 'smooth',
+    autosaveKey: 'spring-bezier-scene',
+    autosaveTimer: null,
+
+    // Render data is built once per frame and shared by render() and the stats.
+    // The pointer projection and self-intersections derived from it are kept
+    // until the curve's shape or the pointer changes.
+    frame: 0,
+    renderCache: { frame: -1, bezier: null, data: null, shape: null, hover: null, hoverKey: null, intersections: null },
+
+    clipDuration: 3,
+    renderingClip: false,
+
+    viewMode: 'curve'
+};
+
+function init() {
+    App.canvas = document.getElementById('mainCanvas');
+    App.ctx = App.canvas.getContext('2d');
+    App.dpr = window.devicePixelRatio || 1;
+    App.fpsCounter = Utils.createFPSCounter();
+    App.recorder = new InputRecorder();
+    App.easing.curve = CubicBezier.fromTimingFunction(CubicBezier.easings.ease);
+
+    handleResize();
+    initBezierSystem();
+    setupEventListeners();
+    setupUIControls();
+    restoreScene();
+
+    setTimeout(() => {
+        document.getElementById('loadingOverlay').classList.add('hidden');
+    }, 500);
+
+    App.lastTime = performance.now();
+    requestAnimationFrame(animate);
+}
+
+function initBezierSystem() {
+    const margin = Math.min(App.width, App.height) * 0.1;
+    
+    App.bezier = new InteractiveBezier({
+        width: App.width,
+        height: App.height,
+        stiffness: 150,
+        damping: 12,
+        mass: 1,
+        integrator: App.options.integrator,
+        network: App.network,
+        curveResolution: App.options.curveResolution,
+        tangentCount: App.options.tangentCount,
+        tangentLength: App.options.tangentLength,
+        tangentSpacing: App.options.tangentSpacing,
+        p0: new Vector2D(margin, App.height / 2),
+        p3: new Vector2D(App.width - margin, App.height / 2),
+        p1: new Vector2D(App.width * 0.33, App.height * 0.3),
+        p2: new Vector2D(App.width * 0.66, App.height * 0.7)
+    });
+
+    const depth = Math.min(App.width, App.height) * 0.5;
+    App.bezier3D = new InteractiveBezier3D({
+        width: App.width,
+        height: App.height,
+        stiffness: 150,
+        damping: 12,
+        mass: 1,
+        integrator: App.options.integrator,
+        network: App.network,
+        curveResolution: App.options.curveResolution,
+        tangentCount: App.options.tangentCount,
+        tangentLength: App.options.tangentLength,
+        tangentSpacing: App.options.tangentSpacing,
+        p0: new Vector3D(margin, App.height / 2, 0),
+        p3: new Vector3D(App.width - margin, App.height / 2, 0),
+        p1: new Vector3D(App.width * 0.33, App.height * 0.3, depth * 0.5),
+        p2: new Vector3D(App.width * 0.66, App.height * 0.7, -depth * 0.5)
+    });
+
+    Object.values(App.forces).forEach(field => forEachBezier(b => b.addForce(field)));
+
+    App.camera = new OrbitCamera({
+        width: App.width,
+        height: App.height,
+        target: new Vector3D(App.width / 2, App.height / 2, 0)
+    });
+}
+
+function getActiveBezier() {
+    return App.options.view3D ? App.bezier3D : App.bezier;
+}
+
+function forEachBezier(callback) {
+    [App.bezier, App.bezier3D].forEach(callback);
+}
+
+function setupEventListeners() {
+    window.addEventListener('resize', Utils.debounce(handleResize, 100));
+    App.canvas.addEventListener('mousemove', handleMouseMove);
+    App.canvas.addEventListener('mousedown', handleMouseDown);
+    App.canvas.addEventListener('mouseup', handleMouseUp);
+    App.canvas.addEventListener('mouseleave', handleMouseLeave);
+    App.canvas.addEventListener('dblclick', handleDoubleClick);
+    App.canvas.addEventListener('dragover', e => e.preventDefault());
+    App.canvas.addEventListener('drop', handleSVGDrop);
+    App.canvas.addEventListener('wheel', handleWheel, { passive: false });
+    document.addEventListener('mousemove', updateCustomCursor);
+    document.addEventListener('keydown', handleKeyDown);
+    ['input', 'change', 'click', 'mouseup', 'keyup'].forEach(type => document.addEventListener(type, scheduleAutosave));
+    window.addEventListener('pagehide', saveScene);
+    window.addEventListener('hashchange', restoreScene);
+    App.canvas.addEventListener('contextmenu', e => e.preventDefault());
+}
+
+function handleResize() {
+    const container = App.canvas.parentElement;
+    App.width = container.clientWidth;
+    App.height = container.clientHeight;
+
+    App.canvas.width = App.width * App.dpr;
+    App.canvas.height = App.height * App.dpr;
+    App.canvas.style.width = App.width + 'px';
+    App.canvas.style.height = App.height + 'px';
+    App.ctx.setTransform(App.dpr, 0, 0, App.dpr, 0, 0);
+
+    if (App.bezier) {
+        forEachBezier(b => b.resize(App.width, App.height));
+        App.camera.resize(App.width, App.height);
+    }
+}
+
+function handleMouseMove(e) {
+    const rect = App.canvas.getBoundingClientRect();
+    App.mouse.prevX = App.mouse.x;
+    App.mouse.prevY = App.mouse.y;
+    App.mouse.x = e.clientX - rect.left;
+    App.mouse.y = e.clientY - rect.top;
+
+    document.getElementById('mouseDisplay').textContent = 
+        `${Math.round(App.mouse.x)}, ${Math.round(App.mouse.y)}`;
+
+    if (App.viewMode === 'easing') {
+        if (App.easing.dragging) dragEasingHandle();
+    } else if (App.cameraDrag) {
+        handleCameraDrag();
+    } else if ((App.player && App.player.playing) || App.renderingClip) {
+        return;
+    } else if (App.interactionMode === 'follow') {
+        handleFollowMode();
+    } else if (App.interactionMode === 'drag' && App.isDragging && App.draggedPoint) {
+        handleDragMode();
+    }
+}
+
+function handleFollowMode() {
+    const centerX = App.width / 2;
+    const centerY = App.height / 2;
+    const offsetX = (App.mouse.x - centerX) * 0.5;
+    const offsetY = (App.mouse.y - centerY) * 0.5;
+    const offset = new Vector2D(offsetX, offsetY);
+    // In 3D the offset moves the handles parallel to the screen, whatever the orbit
+    const offset3D = App.camera.viewToWorldDirection(offsetX, offsetY);
+    App.bezier.setInputOffset(offset);
+    App.bezier3D.setInputOffset(offset3D);
+    recordInput({ offset: InputRecorder.coords(App.options.view3D ? offset3D : offset) });
+}
+
+function handleDragMode() {
+    const bezier = getActiveBezier();
+    const { type, index } = App.draggedPoint;
+    let target = new Vector2D(App.mouse.x, App.mouse.y);
+
+    if (App.options.view3D) {
+        const current = type === 'handle' ? bezier.handles[index].position : bezier.anchors[index];
+        target = App.camera.unproject(App.mouse.x, App.mouse.y, current);
+    }
+
+    if (type === 'handle') {
+        bezier.setHandleTarget(index, target);
+        recordInput({ handles: { [index]: InputRecorder.coords(target) } });
+    } else {
+        bezier.setAnchor(index, target);
+        recordInput({ anchors: { [index]: InputRecorder.coords(target) } });
+    }
+}
+
+function recordInput(input) {
+    if (App.recorder.recording) App.recorder.record(input);
+}
+
+function toggleRecording() {
+    const button = document.getElementById('recordBtn');
+
+    if (App.recorder.recording) {
+        loadRecording(App.recorder.stop());
+        button.textContent = 'Record';
+        return;
+    }
+
+    if (App.player) App.player.pause();
+    App.recorder.start({
+        source: 'desktop',
+        mode: App.options.view3D ? '3d' : '2d',
+        anchors: getActiveBezier().anchors.map(InputRecorder.coords)
+    });
+    button.textContent = 'Stop';
+}
+
+function loadRecording(recording) {
+    App.player = new InputPlayer(recording);
+    App.player.speed = parseFloat(document.getElementById('playbackSpeed').value);
+
+    const slider = document.getElementById('timelineSlider');
+    slider.max = recording.duration;
+    slider.disabled = false;
+    document.getElementById('playBtn').disabled = false;
+    document.getElementById('saveRecordingBtn').disabled = false;
+    updateTimelineUI();
+}
+
+// Playback always starts from the recorded pose, so presets can be compared on equal terms
+function togglePlayback() {
+    const player = App.player;
+    if (!player) return;
+
+    if (player.playing) {
+        player.pause();
+    } else {
+        if (player.time === 0 || player.finished) player.seek(0, getActiveBezier());
+        player.play();
+    }
+    updateTimelineUI();
+}
+
+function updateTimelineUI() {
+    const player = App.player;
+    if (!player) return;
+    document.getElementById('playBtn').textContent = player.playing ? 'Pause' : 'Play';
+    document.getElementById('timelineSlider').value = player.time;
+    document.getElementById('timelineValue').textContent =
+        `${player.time.toFixed(2)} / ${player.duration.toFixed(2)} s`;
+}
+
+async function handleRecordingFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = '';
+
+    try {
+        loadRecording(InputRecorder.parse(await file.text()));
+    } catch (error) {
+        console.error('Recording load error:', error);
+        document.getElementById('timelineValue').textContent = 'Invalid file';
+    }
+}
+
+// Draws a frame with the regular render() into another context, e.g. an offscreen canvas
+function renderTo(ctx) {
+    const screen = App.ctx;
+    App.ctx = ctx;
+    App.frame++;
+    render();
+    App.ctx = screen;
+}
+
+// Renders a clip of the active curve offline, with the main loop paused so
+// nothing else steps the curve, then downloads it. Clips always show the curve
+// view. The replay moves the curve, so its shape, the app settings and the
+// frame count are put back afterwards.
+async function exportClip(format) {
+    const status = document.getElementById('clipStatus');
+    const source = document.getElementById('clipSource').value;
+    const fps = parseInt(document.getElementById('clipFps').value);
+    const bezier = getActiveBezier();
+
+    if (source === 'recording' && !App.player) {
+        status.textContent = 'No recording';
+        return;
+    }
+    const recording = source === 'recording'
+        ? App.player.recording
+        : ClipRenderer.scriptedRecording(source, App.clipDuration, fps, bezier.anchors.map(InputRecorder.coords));
+
+    const snapshot = Scene.serializeCurve(bezier);
+    const settings = sceneSettings();
+    const inputOffset = bezier.inputOffset;
+    const frame = App.frame;
+    const wasRunning = App.isRunning;
+    if (App.player) App.player.pause();
+    App.isRunning = false;
+    App.renderingClip = true;
+    App.viewMode = 'curve';
+    document.querySelectorAll('.clip-btn').forEach(btn => btn.disabled = true);
+
+    try {
+        const renderer = new ClipRenderer(bezier, renderTo, App.width, App.height, fps, App.dpr);
+        const progress = fraction => status.textContent = Math.round(fraction * 100) + '%';
+        if (format === 'webm') {
+            Utils.download('bezier-clip.webm', await renderer.toWebM(recording, progress));
+        } else {
+            Utils.download('bezier-frames.zip', await renderer.toPNGSequence(recording, progress));
+        }
+        status.textContent = 'Done';
+    } catch (error) {
+        console.error('Clip export error:', error);
+        status.textContent = 'Failed';
+    } finally {
+        Scene.applyCurve(snapshot, bezier);
+        bezier.setInputOffset(inputOffset);
+        applySettings(settings);
+        App.frame = frame;
+        App.renderCache.frame = -1;
+        App.renderingClip = false;
+        updateClipButtons();
+        if (wasRunning) {
+            App.isRunning = true;
+            App.lastTime = performance.now();
+            requestAnimationFrame(animate);
+        }
+    }
+}
+
+// WebM needs MediaRecorder and canvas capture; PNG frames work everywhere
+function updateClipButtons() {
+    document.getElementById('exportFramesBtn').disabled = false;
+    const webm = document.getElementById('exportWebmBtn');
+    webm.disabled = !ClipRenderer.webmType();
+    webm.title = webm.disabled ? 'This browser cannot record WebM' : '';
+}
+
+// Right drag orbits the 3D camera, shift + right drag (or middle drag) pans it
+function handleCameraDrag() {
+    const dx = App.mouse.x - App.mouse.prevX;
+    const dy = App.mouse.y - App.mouse.prevY;
+
+    if (App.cameraDrag === 'pan') {
+        App.camera.pan(dx, dy);
+    } else {
+        App.camera.orbit(dx * 0.01, -dy * 0.01);
+    }
+}
+
+function handleWheel(e) {
+    if (!App.options.view3D) return;
+    e.preventDefault();
+    App.camera.zoomBy(e.deltaY < 0 ? 1.1 : 1 / 1.1);
+}
+
+// Control points in path order: anchor, handle, handle, anchor, ...
+function getDraggablePoints(bezier) {
+    const points = [];
+    bezier.anchors.forEach((anchor, i) => {
+        points.push({ type: 'anchor', index: i, pos: bezier.anchorPosition(i) });
+        if (i < bezier.handles.length / 2) {
+            points.push({ type: 'handle', index: 2 * i, pos: bezier.handles[2 * i].position });
+            points.push({ type: 'handle', index: 2 * i + 1, pos: bezier.handles[2 * i + 1].position });
+        }
+    });
+    return points;
+}
+
+function handleMouseDown(e) {
+    if (App.viewMode === 'easing') {
+        if (e.button === 0) pickEasingHandle();
+        return;
+    }
+
+    if (App.options.view3D && (e.button === 1 || e.button === 2)) {
+        App.cameraDrag = e.button === 1 || e.shiftKey ? 'pan' : 'orbit';
+        return;
+    }
+
+    if (App.interactionMode === 'drag') {
+        const mousePos = new Vector2D(App.mouse.x, App.mouse.y);
+        const hitRadius = 20;
+        const bezier = getActiveBezier();
+
+        for (const point of getDraggablePoints(bezier)) {
+            const screenPos = App.options.view3D ? App.camera.project(point.pos) : point.pos;
+            if (mousePos.distanceTo(screenPos) < hitRadius) {
+                App.isDragging = true;
+                App.draggedPoint = { type: point.type, index: point.index };
+                document.getElementById('customCursor').classList.add('dragging');
+
+                if (point.type === 'anchor') {
+                    const interior = point.index > 0 && point.index < bezier.anchors.length - 1;
+                    selectJoint(interior ? point.index : null);
+                }
+                return;
+            }
+        }
+
+        // Shift-click on the curve splits the segment there, keeping the shape
+        if (e.shiftKey) {
+            const hit = findCurveHit(bezier, mousePos, 10);
+            if (hit) {
+                selectJoint(bezier.insertAnchor(hit.segment, hit.t));
+                updateContinuityUI();
+            }
+            return;
+        }
+    }
+
+    if (e.button === 0 && App.forcePlacement !== 'none' && !App.options.view3D) {
+        placeForceField(App.forcePlacement, new Vector2D(App.mouse.x, App.mouse.y));
+        return;
+    }
+
+    if (e.button === 0) probeCurve(new Vector2D(App.mouse.x, App.mouse.y));
+}
+
+// Loads the first subpath of an SVG document (or bare path data) into both
+// curves, scaled to fit the canvas
+function importSVG(text) {
+    const subpaths = SVGPath.parseDocument(text);
+    const segments = SVGPath.fitToRect(subpaths[0].segments, App.width, App.height);
+    forEachBezier(b => b.loadSegments(segments));
+    App.selectedJoint = null;
+    App.probe = null;
+    updateContinuityUI();
+
+    const count = segments.length;
+    document.getElementById('importStatus').textContent = `${count} segment${count === 1 ? '' : 's'}`;
+}
+
+async function handleSVGFile(file) {
+    try {
+        importSVG(await file.text());
+    } catch (error) {
+        console.error('SVG import error:', error);
+        document.getElementById('importStatus').textContent = 'Invalid file';
+    }
+}
+
+function handleSVGDrop(e) {
+    e.preventDefault();
+    const file = e.dataTransfer.files[0];
+    if (file) handleSVGFile(file);
+}
+
+// App state saved in scenes alongside the curves
+function sceneSettings() {
+    const camera = App.camera;
+    return {
+        options: { ...App.options },
+        forces: JSON.parse(JSON.stringify(App.forces)),
+        camera: {
+            yaw: camera.yaw,
+            pitch: camera.pitch,
+            zoom: camera.zoom,
+            target: InputRecorder.coords(camera.target),
+            size: [camera.width, camera.height]
+        },
+        springTarget: App.springTarget,
+        preset: App.preset,
+        viewMode: App.viewMode,
+        interactionMode: App.interactionMode,
+        easing: App.easing.curve.timingFunction()
+    };
+}
+
+function currentScene() {
+    return Scene.serialize([App.bezier, App.bezier3D], sceneSettings());
+}
+
+// CSS timing function of the easing curve in the Easing view, otherwise of the
+// active curve; only a single 2D segment maps onto one
+function cssTimingFunction() {
+    const bezier = getActiveBezier();
+    const segment = App.viewMode === 'easing' ? App.easing.curve
+        : bezier.segmentCount === 1 ? bezier.getSegment(0) : null;
+    const values = segment && segment.timingFunction ? segment.timingFunction() : null;
+    return values ? `cubic-bezier(${values.map(v => +v.toFixed(3)).join(', ')})` : null;
+}
+
+function toggleExportMenu() {
+    const menu = document.getElementById('exportMenu');
+    menu.classList.toggle('open');
+    if (menu.classList.contains('open')) {
+        const css = cssTimingFunction();
+        document.getElementById('cssTimingValue').textContent = css || 'n/a';
+        document.querySelector('.export-item[data-export="css"]').disabled = !css;
+    }
+}
+
+function exportCurve(format) {
+    const bezier = getActiveBezier();
+    const options = App.options;
+
+    switch (format) {
+        case 'svg': {
+            const style = {
+                width: options.curveWidth,
+                color1: options.curveColor1,
+                color2: options.curveColor2,
+                gradient: options.gradientCurve
+            };
+            const svg = SVGPath.toDocument(bezier.getSegments(), style, App.width, App.height);
+            Utils.download('bezier-curve.svg', svg, 'image/svg+xml');
+            break;
+        }
+        case 'json':
+            Utils.download('bezier-scene.json', JSON.stringify(currentScene(), null, 2), 'application/json');
+            break;
+        case 'link':
+            shareSceneLink();
+            break;
+        case 'css': {
+            const css = cssTimingFunction();
+            if (css && navigator.clipboard) navigator.clipboard.writeText(css);
+            break;
+        }
+        case 'open':
+            document.getElementById('sceneFile').click();
+            break;
+    }
+    document.getElementById('exportMenu').classList.remove('open');
+}
+
+// Puts the scene in the address bar, without reloading it, and copies the link
+function shareSceneLink() {
+    history.replaceState(null, '', '#scene=' + Scene.encode(currentScene()));
+    if (navigator.clipboard) navigator.clipboard.writeText(location.href);
+}
+
+// Loads a scene into both curves and brings the panel in line with it
+function loadScene(scene) {
+    forEachBezier(b => Scene.apply(scene, b));
+    applySettings(scene.settings);
+
+    const bezier = getActiveBezier();
+    document.getElementById('springEndpoints').checked = !bezier.endpoints.every(endpoint => endpoint.pinned);
+    document.getElementById('coupleSprings').checked = bezier.network.enabled;
+    document.getElementById('networkTopology').value = bezier.network.topology;
+    document.getElementById('ropeMode').checked = bezier.ropeMode;
+
+    selectJoint(null);
+    App.probe = null;
+    loadSpringSliders();
+}
+
+// Saved settings may come from older versions, so anything missing keeps its current value
+// Settings come from share links, storage and files, so only known keys are
+// taken, each with the kind of value the app already holds there: booleans,
+// numbers within their limits, colours as #rrggbb and names from their lists
+function sanitizeSettings(settings) {
+    const isObject = value => value !== null && typeof value === 'object';
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const isCoords = (value, length) => Array.isArray(value) && value.length === length && value.every(isNumber);
+    const source = isObject(settings) ? settings : {};
+    const clean = {};
+
+    const choices = {
+        integrator: Object.keys(SpringPhysics.integrators),
+        strokeProfile: Object.keys(App.strokeProfiles),
+        tangentSpacing: ['uniform', 'arc']
+    };
+    const options = isObject(source.options) ? source.options : {};
+    clean.options = {};
+    Object.keys(App.options).forEach(key => {
+        const value = options[key];
+        if (typeof value !== typeof App.options[key]) return;
+        if (typeof value === 'number') {
+            const [min, max] = App.optionLimits[key] || [-Infinity, Infinity];
+            if (isNumber(value)) clean.options[key] = Utils.clamp(value, min, max);
+        } else if (typeof value === 'string') {
+            const valid = choices[key] ? choices[key].includes(value) : /^#[0-9a-f]{6}$/i.test(value);
+            if (valid) clean.options[key] = value;
+        } else {
+            clean.options[key] = value;
+        }
+    });
+
+    if (isObject(source.forces)) {
+        clean.forces = {};
+        Object.keys(App.forces).forEach(key => {
+            const field = isObject(source.forces[key]) ? source.forces[key] : {};
+            clean.forces[key] = {};
+            Object.keys(App.forces[key]).filter(prop => prop !== 'type').forEach(prop => {
+                const value = field[prop];
+                if (typeof value === 'boolean' || isNumber(value)) clean.forces[key][prop] = value;
+            });
+        });
+    }
+
+    const camera = source.camera;
+    if (isObject(camera) && [camera.yaw, camera.pitch, camera.zoom].every(isNumber) &&
+        isCoords(camera.target, 3) && isCoords(camera.size, 2) && camera.size.every(n => n > 0)) {
+        const limit = Math.PI / 2 - 0.01;
+        clean.camera = {
+            yaw: camera.yaw,
+            pitch: Utils.clamp(camera.pitch, -limit, limit),
+            zoom: Utils.clamp(camera.zoom, App.camera.minZoom, App.camera.maxZoom),
+            target: camera.target,
+            size: camera.size
+        };
+    }
+
+    const target = source.springTarget;
+    if (target === null || target === 'endpoints' || (Number.isInteger(target) && target >= 0)) {
+        clean.springTarget = target;
+    }
+    if (source.preset === null || Object.keys(App.presets).includes(source.preset)) clean.preset = source.preset;
+    if (isCoords(source.easing, 4) && [source.easing[0], source.easing[2]].every(x => x >= 0 && x <= 1)) {
+        clean.easing = source.easing;
+    }
+    if (['follow', 'drag'].includes(source.interactionMode)) clean.interactionMode = source.interactionMode;
+    if (['curve', 'analysis', 'easing', 'minimal'].includes(source.viewMode)) clean.viewMode = source.viewMode;
+    return clean;
+}
+
+function applySettings(settings) {
+    settings = sanitizeSettings(settings);
+    const options = Object.assign(App.options, settings.options);
+
+    // Toggles and colour inputs share their option's name
+    Object.entries(options).forEach(([key, value]) => {
+        const input = document.getElementById(key);
+        if (!input) return;
+        if (input.type === 'checkbox') input.checked = value;
+        else if (input.type === 'color') input.value = value;
+    });
+    setSliderValue('resolution', options.curveResolution);
+    setSliderValue('tangentCount', options.tangentCount);
+    setSliderValue('tangentLength', options.tangentLength);
+    setSliderValue('curveWidth', options.curveWidth);
+    document.getElementById('arcSpacing').checked = options.tangentSpacing === 'arc';
+    document.getElementById('integratorSelect').value = options.integrator;
+    document.querySelectorAll('.stroke-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.stroke === options.strokeProfile);
+    });
+
+    forEachBezier(b => {
+        b.curveResolution = options.curveResolution;
+        b.tangentCount = options.tangentCount;
+        b.tangentLength = options.tangentLength;
+        b.tangentSpacing = options.tangentSpacing;
+        b.interpolate = options.interpolate;
+        b.deterministic = options.deterministic;
+        b.setSeed(b.seed);
+    });
+    App.integratorComparison = null;
+
+    // Merged into the existing field objects, which both curves hold
+    if (settings.forces) {
+        Object.entries(settings.forces).forEach(([key, field]) => Object.assign(App.forces[key], field));
+        const { gravity, wind, drag } = App.forces;
+        document.getElementById('forceGravity').checked = gravity.enabled;
+        setSliderValue('gravityStrength', gravity.strength);
+        document.getElementById('forceWind').checked = wind.enabled;
+        setSliderValue('windStrength', wind.strength);
+        setSliderValue('windAngle', Utils.radToDeg(wind.angle));
+        setSliderValue('windTurbulence', wind.turbulence, 2);
+        document.getElementById('forceDrag').checked = drag.enabled;
+        setSliderValue('dragCoefficient', drag.coefficient * 1000, 1);
+    }
+    // Saved at another canvas size, the camera target is scaled like the curves
+    if (settings.camera) {
+        const camera = App.camera;
+        const { yaw, pitch, zoom, target, size } = settings.camera;
+        Object.assign(camera, { yaw, pitch, zoom, target: new Vector3D(target[0], target[1], target[2]) });
+        [camera.width, camera.height] = size;
+        camera.resize(App.width, App.height);
+    }
+    if (settings.springTarget !== undefined) App.springTarget = settings.springTarget;
+
+    if (settings.preset !== undefined) {
+        App.preset = settings.preset;
+        document.querySelectorAll('.preset-btn[data-preset]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.preset === App.preset);
+        });
+    }
+    if (settings.easing) {
+        const values = settings.easing;
+        App.easing.curve = CubicBezier.fromTimingFunction(values);
+        const name = Object.keys(CubicBezier.easings)
+            .find(key => CubicBezier.easings[key].every((v, i) => v === values[i]));
+        selectEasingPreset(name || null);
+    }
+    if (settings.interactionMode && settings.interactionMode !== App.interactionMode) toggleInteractionMode();
+    if (settings.viewMode) setViewMode(settings.viewMode);
+}
+
+// Autosave: the scene goes to localStorage shortly after any interaction and
+// when the page is hidden. On load a #scene= link takes precedence over it.
+function scheduleAutosave() {
+    clearTimeout(App.autosaveTimer);
+    App.autosaveTimer = setTimeout(saveScene, 500);
+}
+
+function saveScene() {
+    try {
+        localStorage.setItem(App.autosaveKey, JSON.stringify(currentScene()));
+    } catch (error) {
+        console.error('Autosave error:', error);
+    }
+}
+
+function restoreScene() {
+    const link = location.hash.match(/^#scene=(.+)$/);
+    try {
+        if (link) {
+            loadScene(Scene.decode(link[1]));
+            // The link has done its job; from here on changes are autosaved
+            history.replaceState(null, '', location.pathname + location.search);
+            return;
+        }
+        const saved = localStorage.getItem(App.autosaveKey);
+        if (saved) loadScene(Scene.parse(saved));
+    } catch (error) {
+        console.error('Scene restore error:', error);
+    }
+}
+
+async function handleSceneFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    e.target.value = '';
+
+    try {
+        loadScene(Scene.parse(await file.text()));
+    } catch (error) {
+        console.error('Scene load error:', error);
+        document.getElementById('importStatus').textContent = 'Invalid file';
+    }
+}
+
+// Double-clicking P0 or the last anchor pins or unpins that endpoint
+function handleDoubleClick() {
+    const mousePos = new Vector2D(App.mouse.x, App.mouse.y);
+    const bezier = getActiveBezier();
+    const last = bezier.anchors.length - 1;
+
+    [0, last].forEach((index, which) => {
+        const pos = bezier.anchorPosition(index);
+        const screenPos = App.options.view3D ? App.camera.project(pos) : pos;
+        if (mousePos.distanceTo(screenPos) < 20) bezier.toggleEndpointPin(which);
+    });
+}
+
+function placeForceField(type, position) {
+    const field = { type, position, strength: 4000, radius: 120 };
+    forEachBezier(b => b.addForce(field));
+}
+
+function clearForceFields() {
+    forEachBezier(b => {
+        b.forces.filter(field => field.position).forEach(field => b.removeForce(field));
+    });
+}
+
+// Clicking the curve pins a readout to that t; clicking elsewhere clears it
+function probeCurve(screenPos) {
+    const hit = findCurveHit(getActiveBezier(), screenPos, 10);
+    App.probe = hit ? { segment: hit.segment, t: hit.t } : null;
+    updateProbeReadout();
+}
+
+function findCurveHit(bezier, screenPos, maxDistance) {
+    const best = App.options.view3D
+        ? findProjectedCurveHit(bezier, screenPos)
+        : bezier.getSpline().project(screenPos);
+    return best.distance <= maxDistance ? best : null;
+}
+
+// The 3D path has no closed-form screen projection: sample it, then refine by bisection on t
+function findProjectedCurveHit(bezier, screenPos) {
+    const distanceAt = (seg, t) => screenPos.distanceTo(App.camera.project(seg.evaluate(t)));
+    const samples = 100;
+    let best = null;
+
+    bezier.getSegments().forEach((seg, index) => {
+        for (let i = 0; i <= samples; i++) {
+            const d = distanceAt(seg, i / samples);
+            if (!best || d < best.distance) best = { segment: index, t: i / samples, distance: d };
+        }
+    });
+
+    const seg = bezier.getSegment(best.segment);
+    let step = 1 / samples;
+    for (let iter = 0; iter < 20; iter++) {
+        step /= 2;
+        for (const t of [best.t - step, best.t + step]) {
+            if (t < 0 || t > 1) continue;
+            const d = distanceAt(seg, t);
+            if (d < best.distance) best = { ...best, t, distance: d };
+        }
+    }
+
+    return best;
+}
+
+function getProbe() {
+    const probe = App.probe;
+    const bezier = getActiveBezier();
+    if (!probe || probe.segment >= bezier.segmentCount) return null;
+
+    const seg = bezier.getSegment(probe.segment);
+    const point = seg.evaluate(probe.t);
+    return {
+        t: probe.t,
+        segment: probe.segment,
+        point,
+        screen: App.options.view3D ? App.camera.project(point) : point,
+        tangent: seg.tangent(probe.t),
+        curvature: seg.curvature(probe.t)
+    };
+}
+
+// The readout follows the probed t as the springs move the curve
+function updateProbeReadout() {
+    const readout = document.getElementById('curveReadout');
+    const probe = getProbe();
+    if (!probe) {
+        readout.classList.remove('visible');
+        return;
+    }
+
+    const fmt = v => v.toFixed(1);
+    const is3D = probe.point.z !== undefined;
+    const position = [probe.point.x, probe.point.y].concat(is3D ? [probe.point.z] : []).map(fmt);
+    const tangent = is3D
+        ? [probe.tangent.x, probe.tangent.y, probe.tangent.z].map(v => v.toFixed(2)).join(', ')
+        : Utils.radToDeg(Math.atan2(probe.tangent.y, probe.tangent.x)).toFixed(1) + '°';
+    const radius = Math.abs(probe.curvature) > 1e-9 ? fmt(1 / Math.abs(probe.curvature)) : '∞';
+    const label = getActiveBezier().segmentCount > 1 ? `seg ${probe.segment}, t` : 't';
+
+    readout.innerHTML = [
+        [label, probe.t.toFixed(3)],
+        ['pos', `(${position.join(', ')})`],
+        ['tangent', tangent],
+        ['κ', probe.curvature.toFixed(4)],
+        ['radius', radius]
+    ].map(([k, v]) => `<div><span class="readout-label">${k}</span> ${v}</div>`).join('');
+
+    readout.style.left = probe.screen.x + 'px';
+    readout.style.top = probe.screen.y + 'px';
+    readout.classList.add('visible');
+}
+
+function drawProbe(ctx, point) {
+    ctx.save();
+    ctx.strokeStyle = '#ffdd00';
+    ctx.fillStyle = '#ffdd00';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, 6, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, 2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+}
+
+function handleMouseUp() {
+    App.easing.dragging = null;
+    App.isDragging = false;
+    App.draggedPoint = null;
+    App.cameraDrag = null;
+    document.getElementById('customCursor').classList.remove('dragging');
+}
+
+function handleMouseLeave() {
+    App.easing.dragging = null;
+    App.isDragging = false;
+    App.draggedPoint = null;
+    App.cameraDrag = null;
+    document.getElementById('customCursor').classList.remove('dragging');
+}
+
+function updateCustomCursor(e) {
+    const cursor = document.getElementById('customCursor');
+    const cursorDot = document.getElementById('customCursorDot');
+    cursor.style.left = e.clientX + 'px';
+    cursor.style.top = e.clientY + 'px';
+    cursorDot.style.left = e.clientX + 'px';
+    cursorDot.style.top = e.clientY + 'px';
+}
+
+function handleKeyDown(e) {
+    if (e.target.tagName === 'INPUT') return;
+
+    switch (e.key.toLowerCase()) {
+        case 'r': resetSimulation(); break;
+        case 'p': togglePanel(); break;
+        case 'g': toggleOption('showGrid'); break;
+        case 't': toggleOption('showTangents'); break;
+        case 'd': toggleInteractionMode(); break;
+        case 'n': addSplineSegment(); break;
+        case '3': toggleOption('view3D'); break;
+        case 'o': App.camera.reset(); break;
+        case ' ':
+            e.preventDefault();
+            if (App.renderingClip) break;
+            App.isRunning = !App.isRunning;
+            if (App.isRunning) {
+                App.lastTime = performance.now();
+                requestAnimationFrame(animate);
+            }
+            break;
+        case 'escape':
+            document.getElementById('controlPanel').classList.add('collapsed');
+            break;
+    }
+}
+
+function setupUIControls() {
+    document.getElementById('resetBtn').addEventListener('click', resetSimulation);
+    document.getElementById('togglePanel').addEventListener('click', togglePanel);
+    document.getElementById('panelClose').addEventListener('click', togglePanel);
+
+    document.querySelectorAll('.view-option').forEach(btn => {
+        btn.addEventListener('click', () => setViewMode(btn.dataset.view));
+    });
+
+    document.getElementById('springTargetSelect').addEventListener('change', e => {
+        const value = e.target.value;
+        App.springTarget = value === 'all' ? null : value === 'endpoints' ? value : parseInt(value);
+        loadSpringSliders();
+    });
+    setupSlider('stiffnessSlider', 'stiffnessValue', v => {
+        applySpringParams({ stiffness: parseFloat(v) });
+        syncAxisSliders('stiffness', v);
+    });
+    setupSlider('dampingSlider', 'dampingValue', v => {
+        applySpringParams({ damping: parseFloat(v) });
+        syncAxisSliders('damping', v);
+    });
+    ['stiffnessX', 'stiffnessY', 'dampingX', 'dampingY'].forEach(key => {
+        setupSlider(key + 'Slider', key + 'Value', v => applySpringParams({ [key]: parseFloat(v) }));
+    });
+    setupSlider('axisAngleSlider', 'axisAngleValue', v => {
+        applySpringParams({ axisAngle: Utils.degToRad(parseFloat(v)) });
+    });
+    setupSlider('massSlider', 'massValue', v => applySpringParams({ mass: parseFloat(v) }), 1);
+    setupSlider('influenceSlider', 'influenceValue', v => applySpringParams({ influence: parseFloat(v) }), 1);
+    setupSlider('offsetScaleSlider', 'offsetScaleValue', v => applySpringParams({ offsetScale: parseFloat(v) }), 1);
+
+    document.getElementById('integratorSelect').addEventListener('change', e => {
+        App.options.integrator = e.target.value;
+        forEachBezier(b => b.setSpringParams({ integrator: e.target.value }));
+    });
+
+    setupSlider('resolutionSlider', 'resolutionValue', v => {
+        App.options.curveResolution = parseInt(v);
+        forEachBezier(b => b.curveResolution = parseInt(v));
+    });
+    setupSlider('tangentCountSlider', 'tangentCountValue', v => {
+        App.options.tangentCount = parseInt(v);
+        forEachBezier(b => b.tangentCount = parseInt(v));
+    });
+    setupSlider('tangentLengthSlider', 'tangentLengthValue', v => {
+        App.options.tangentLength = parseInt(v);
+        forEachBezier(b => b.tangentLength = parseInt(v));
+    });
+    setupSlider('curveWidthSlider', 'curveWidthValue', v => App.options.curveWidth = parseInt(v));
+
+    setupToggle('showGrid', c => App.options.showGrid = c);
+    setupToggle('showHandles', c => App.options.showHandles = c);
+    setupToggle('showTangents', c => App.options.showTangents = c);
+    setupToggle('arcSpacing', c => {
+        App.options.tangentSpacing = c ? 'arc' : 'uniform';
+        forEachBezier(b => b.tangentSpacing = App.options.tangentSpacing);
+    });
+    setupToggle('showPoints', c => App.options.showPoints = c);
+    setupToggle('showGlow', c => App.options.showGlow = c);
+    setupToggle('gradientCurve', c => App.options.gradientCurve = c);
+    setupToggle('showBounds', c => App.options.showBounds = c);
+    setupToggle('showIntersections', c => App.options.showIntersections = c);
+    setupToggle('showOffsets', c => App.options.showOffsets = c);
+    setupToggle('showComb', c => App.options.showComb = c);
+    setupToggle('showOsculating', c => App.options.showOsculating = c);
+    setupToggle('showInflections', c => App.options.showInflections = c);
+    setupToggle('showCurvaturePlot', c => App.options.showCurvaturePlot = c);
+    setupToggle('interpolate', c => {
+        App.options.interpolate = c;
+        forEachBezier(b => b.interpolate = c);
+    });
+    setupToggle('deterministic', c => {
+        App.options.deterministic = c;
+        forEachBezier(b => {
+            b.deterministic = c;
+            b.setSeed(b.seed);
+        });
+    });
+    setupToggle('compareIntegrators', c => {
+        App.options.compareIntegrators = c;
+        App.integratorComparison = null;
+    });
+    setupToggle('ropeMode', c => forEachBezier(b => b.setRopeMode(c)));
+    setupToggle('forceGravity', c => App.forces.gravity.enabled = c);
+    setupSlider('gravityStrengthSlider', 'gravityStrengthValue', v => App.forces.gravity.strength = parseFloat(v));
+    setupToggle('forceWind', c => App.forces.wind.enabled = c);
+    setupSlider('windStrengthSlider', 'windStrengthValue', v => App.forces.wind.strength = parseFloat(v));
+    setupSlider('windAngleSlider', 'windAngleValue', v => App.forces.wind.angle = Utils.degToRad(parseFloat(v)));
+    setupSlider('windTurbulenceSlider', 'windTurbulenceValue', v => App.forces.wind.turbulence = parseFloat(v), 2);
+    setupToggle('forceDrag', c => App.forces.drag.enabled = c);
+    setupSlider('dragCoefficientSlider', 'dragCoefficientValue', v => App.forces.drag.coefficient = parseFloat(v) / 1000, 1);
+    document.getElementById('forcePlacement').addEventListener('change', e => App.forcePlacement = e.target.value);
+    document.getElementById('clearFieldsBtn').addEventListener('click', clearForceFields);
+
+    setupToggle('springEndpoints', c => {
+        forEachBezier(b => b.endpoints.forEach((endpoint, which) => b.setEndpointPinned(which, !c)));
+    });
+    setupToggle('coupleSprings', c => forEachBezier(b => b.setNetwork({ enabled: c })));
+    document.getElementById('networkTopology').addEventListener('change', e => {
+        forEachBezier(b => b.setNetwork({ topology: e.target.value }));
+    });
+    setupToggle('view3D', c => {
+        App.options.view3D = c;
+        selectJoint(null);
+    });
+
+    document.getElementById('curveColor1').addEventListener('input', e => App.options.curveColor1 = e.target.value);
+    document.getElementById('curveColor2').addEventListener('input', e => App.options.curveColor2 = e.target.value);
+    document.getElementById('tangentColor').addEventListener('input', e => App.options.tangentColor = e.target.value);
+
+    document.querySelectorAll('.preset-btn[data-preset]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const preset = App.presets[btn.dataset.preset];
+            if (preset) applyPreset(preset, btn);
+        });
+    });
+
+    document.querySelectorAll('.stroke-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            App.options.strokeProfile = btn.dataset.stroke;
+            document.querySelectorAll('.stroke-btn').forEach(b => b.classList.toggle('active', b === btn));
+        });
+    });
+
+    document.getElementById('recordBtn').addEventListener('click', toggleRecording);
+    document.getElementById('playBtn').addEventListener('click', togglePlayback);
+    document.getElementById('timelineSlider').addEventListener('input', e => {
+        App.player.pause();
+        App.player.seek(parseFloat(e.target.value), getActiveBezier());
+        updateTimelineUI();
+    });
+    document.getElementById('playbackSpeed').addEventListener('change', e => {
+        if (App.player) App.player.speed = parseFloat(e.target.value);
+    });
+    document.getElementById('saveRecordingBtn').addEventListener('click', () => {
+        Utils.download('bezier-recording.json', JSON.stringify(App.player.recording), 'application/json');
+    });
+    document.getElementById('loadRecordingBtn').addEventListener('click', () => {
+        document.getElementById('recordingFile').click();
+    });
+    document.getElementById('recordingFile').addEventListener('change', handleRecordingFile);
+    setupSlider('clipDurationSlider', 'clipDurationValue', v => App.clipDuration = parseFloat(v), 1);
+    document.getElementById('exportFramesBtn').addEventListener('click', () => exportClip('png'));
+    document.getElementById('exportWebmBtn').addEventListener('click', () => exportClip('webm'));
+    updateClipButtons();
+    document.getElementById('importSvgBtn').addEventListener('click', () => {
+        document.getElementById('svgFile').click();
+    });
+    document.getElementById('svgFile').addEventListener('change', e => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) handleSVGFile(file);
+    });
+
+    document.querySelectorAll('.easing-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            selectEasingPreset(btn.dataset.easing);
+            setViewMode('easing');
+        });
+    });
+    setupSlider('easingDurationSlider', 'easingDurationValue', v => App.easing.duration = parseFloat(v), 1);
+
+    document.getElementById('exportBtn').addEventListener('click', toggleExportMenu);
+    document.querySelectorAll('.export-item').forEach(btn => {
+        btn.addEventListener('click', () => exportCurve(btn.dataset.export));
+    });
+    document.getElementById('sceneFile').addEventListener('change', handleSceneFile);
+    document.addEventListener('click', e => {
+        const menu = document.getElementById('exportMenu');
+        if (!menu.contains(e.target)) menu.classList.remove('open');
+    });
+
+    document.getElementById('addSegmentBtn').addEventListener('click', addSplineSegment);
+    document.getElementById('removeSegmentBtn').addEventListener('click', removeSplineSegment);
+    document.querySelectorAll('.continuity-btn').forEach(btn => {
+        btn.addEventListener('click', () => applyContinuity(btn.dataset.continuity));
+    });
+
+    document.getElementById('statsToggle').addEventListener('click', () => {
+        document.getElementById('statsCollapse').classList.toggle('collapsed');
+        document.getElementById('statsArrow').classList.toggle('collapsed');
+    });
+}
+
+// Spring settings go to the handle picked in the panel, or to every handle
+function applySpringParams(params) {
+    forEachBezier(b => {
+        if (App.springTarget === 'endpoints') b.setEndpointParams(params);
+        else b.setSpringParams(params, App.springTarget);
+    });
+}
+
+function setSliderValue(key, value, decimals = 0) {
+    document.getElementById(key + 'Slider').value = value;
+    document.getElementById(key + 'Value').textContent = decimals > 0 ? value.toFixed(decimals) : Math.round(value);
+}
+
+// Shows the settings of the picked handle (the shared config for "All")
+function loadSpringSliders() {
+    const bezier = getActiveBezier();
+    const params = App.springTarget === 'endpoints'
+        ? bezier.getEndpointParams()
+        : bezier.getSpringParams(App.springTarget);
+    ['stiffness', 'damping', 'stiffnessX', 'stiffnessY', 'dampingX', 'dampingY'].forEach(key => {
+        setSliderValue(key, params[key]);
+    });
+    setSliderValue('axisAngle', Utils.radToDeg(params.axisAngle));
+    setSliderValue('mass', params.mass, 1);
+    setSliderValue('influence', params.influence, 1);
+    setSliderValue('offsetScale', params.offsetScale, 1);
+}
+
+// Lists one entry per handle; segments can be added or removed, so this is
+// rebuilt with the continuity UI
+function updateSpringTargetOptions() {
+    const bezier = getActiveBezier();
+    const select = document.getElementById('springTargetSelect');
+    if (typeof App.springTarget === 'number' && App.springTarget >= bezier.handles.length) {
+        App.springTarget = null;
+        loadSpringSliders();
+    }
+
+    const options = ['<option value="all">All handles</option>'];
+    bezier.handles.forEach((handle, i) => {
+        const label = 'P' + toSubscript(3 * Math.floor(i / 2) + 1 + i % 2);
+        options.push(`<option value="${i}">${label}</option>`);
+    });
+    options.push('<option value="endpoints">Endpoints</option>');
+    select.innerHTML = options.join('');
+    select.value = App.springTarget === null ? 'all' : String(App.springTarget);
+}
+
+// A scalar stiffness or damping resets both axes, so their sliders follow it
+function syncAxisSliders(property, value) {
+    ['X', 'Y'].forEach(axis => {
+        document.getElementById(property + axis + 'Slider').value = value;
+        document.getElementById(property + axis + 'Value').textContent = value;
+    });
+}
+
+function setupSlider(sliderId, valueId, callback, decimals = 0) {
+    const slider = document.getElementById(sliderId);
+    const display = document.getElementById(valueId);
+    slider.addEventListener('input', () => {
+        display.textContent = decimals > 0 ? parseFloat(slider.value).toFixed(decimals) : slider.value;
+        callback(slider.value);
+    });
+}
+
+function setupToggle(toggleId, callback) {
+    document.getElementById(toggleId).addEventListener('change', e => callback(e.target.checked));
+}
+
+function applyPreset(preset, button) {
+    document.getElementById('stiffnessSlider').value = preset.stiffness;
+    document.getElementById('stiffnessValue').textContent = preset.stiffness;
+    document.getElementById('dampingSlider').value = preset.damping;
+    document.getElementById('dampingValue').textContent = preset.damping;
+    document.getElementById('massSlider').value = preset.mass;
+    document.getElementById('massValue').textContent = preset.mass.toFixed(1);
+    applySpringParams(preset);
+    App.preset = button.dataset.preset;
+    syncAxisSliders('stiffness', preset.stiffness);
+    syncAxisSliders('damping', preset.damping);
+    document.querySelectorAll('.preset-btn[data-preset]').forEach(b => b.classList.remove('active'));
+    button.classList.add('active');
+}
+
+// Continues the path past its last anchor, turning back towards the middle of
+// the canvas when the straight continuation would leave it
+function addSplineSegment() {
+    const bezier = getActiveBezier();
+    const anchors = bezier.anchors;
+    const end = anchors[anchors.length - 1];
+    const prev = anchors[anchors.length - 2];
+    const length = Math.min(end.distanceTo(prev), Math.min(App.width, App.height) * 0.4);
+    const margin = 60;
+
+    let next = end.add(end.subtract(prev).normalize().multiply(length));
+    const inside = next.x > margin && next.x < App.width - margin &&
+                   next.y > margin && next.y < App.height - margin;
+    if (!inside) {
+        const center = end.multiply(0).add(new Vector2D(App.width / 2, App.height / 2));
+        next = end.add(center.subtract(end).normalize().multiply(length));
+    }
+
+    bezier.addSegment(next);
+    updateContinuityUI();
+}
+
+function removeSplineSegment() {
+    const bezier = getActiveBezier();
+    bezier.removeSegment();
+    if (App.selectedJoint !== null && App.selectedJoint >= bezier.anchors.length - 1) {
+        App.selectedJoint = null;
+    }
+    updateContinuityUI();
+}
+
+function selectJoint(index) {
+    App.selectedJoint = index;
+    updateContinuityUI();
+}
+
+// Applies to the selected joint, or to every joint (and future ones) when none is selected
+function applyContinuity(type) {
+    const bezier = getActiveBezier();
+    if (App.selectedJoint !== null) {
+        bezier.setContinuity(App.selectedJoint, type);
+    } else {
+        bezier.defaultContinuity = type;
+        for (let j = 1; j < bezier.anchors.length - 1; j++) bezier.setContinuity(j, type);
+    }
+    updateContinuityUI();
+}
+
+function updateContinuityUI() {
+    const bezier = getActiveBezier();
+    const joint = App.selectedJoint;
+    const type = joint !== null ? bezier.continuity[joint] : bezier.defaultContinuity;
+
+    document.getElementById('jointLabel').textContent =
+        joint !== null ? 'P' + toSubscript(3 * joint) : 'All';
+    document.getElementById('segmentCountValue').textContent = bezier.segmentCount;
+    document.querySelectorAll('.continuity-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.continuity === type);
+    });
+    updateSpringTargetOptions();
+}
+
+function resetSimulation() {
+    forEachBezier(b => b.reset());
+}
+
+function togglePanel() {
+    document.getElementById('controlPanel').classList.toggle('collapsed');
+}
+
+function toggleOption(option) {
+    App.options[option] = !App.options[option];
+    const toggle = document.getElementById(option);
+    if (toggle) toggle.checked = App.options[option];
+}
+
+function toggleInteractionMode() {
+    App.interactionMode = App.interactionMode === 'follow' ? 'drag' : 'follow';
+    document.getElementById('modeDisplay').textContent = App.interactionMode === 'follow' ? 'Follow' : 'Drag';
+    
+    if (App.interactionMode === 'drag') {
+        forEachBezier(b => b.resetTargets());
+    }
+}
+
+function setViewMode(mode) {
+    App.viewMode = mode;
+    document.querySelectorAll('.view-option').forEach(btn => btn.classList.toggle('active', btn.dataset.view === mode));
+    updateViewMode();
+}
+
+function updateViewMode() {
+    const info = document.getElementById('infoOverlay');
+    const curve = document.getElementById('curveInfo');
+    const panel = document.getElementById('controlPanel');
+
+    switch (App.viewMode) {
+        case 'minimal':
+            info.style.display = 'none';
+            curve.style.display = 'none';
+            panel.classList.add('collapsed');
+            break;
+        case 'analysis':
+            info.style.display = 'block';
+            curve.style.display = 'block';
+            break;
+        case 'easing':
+            info.style.display = 'block';
+            curve.style.display = 'none';
+            App.easing.time = 0;
+            App.probe = null;
+            selectJoint(null);
+            break;
+        default:
+            info.style.display = 'block';
+            curve.style.display = 'none';
+    }
+}
+
+function animate(currentTime) {
+    if (!App.isRunning) return;
+
+    const dt = (currentTime - App.lastTime) / 1000;
+    App.lastTime = currentTime;
+    App.frame++;
+
+    if (App.player && App.player.playing) {
+        App.player.advance(dt * App.player.speed, getActiveBezier());
+        updateTimelineUI();
+    } else {
+        // Deterministic mode takes one fixed step per frame, whatever the frame took
+        getActiveBezier().update(App.options.deterministic ? undefined : dt);
+    }
+    if (App.viewMode === 'easing') App.easing.time += dt;
+    updateIntegratorComparison(dt);
+    render();
+
+    const fps = App.fpsCounter.update();
+    const fpsEl = document.getElementById('fpsDisplay');
+    fpsEl.textContent = fps;
+    fpsEl.className = 'info-value ' + (fps >= 55 ? 'good' : fps >= 30 ? 'warning' : 'bad');
+
+    updateStats();
+    updateProbeReadout();
+    requestAnimationFrame(animate);
+}
+
+// Shadow springs, one per integrator, chase the first handle's target with its
+// parameters so their energy traces can be compared under identical input
+function updateIntegratorComparison(dt) {
+    const wrap = document.getElementById('energyPlotWrap');
+    wrap.classList.toggle('visible', App.options.compareIntegrators);
+    if (!App.options.compareIntegrators) return;
+
+    const source = getActiveBezier().springP1.spring;
+    if (!App.integratorComparison) {
+        App.integratorComparison = Object.keys(SpringPhysics.integrators).map(name => {
+            const spring = new SpringPhysics({ integrator: name, initialPosition: source.position });
+            spring.velocity = source.velocity;
+            return { name, spring, history: [] };
+        });
+    }
+
+    const historyLength = 240;
+    App.integratorComparison.forEach(({ spring, history }) => {
+        spring.setParameters({ stiffness: source.stiffness, damping: source.damping, mass: source.mass });
+        spring.setTarget(source.target);
+        spring.update(dt);
+        history.push(spring.totalEnergy());
+        if (history.length > historyLength) history.shift();
+    });
+
+    drawEnergyPlot(App.integratorComparison, historyLength);
+}
+
+function drawEnergyPlot(traces, historyLength) {
+    const canvas = document.getElementById('energyPlot');
+    const w = 240;
+    const h = 80;
+    if (!App.energyCtx) App.energyCtx = CanvasUtils.setupHiDPI(canvas, w, h);
+    const ctx = App.energyCtx;
+    const maxEnergy = Math.max(1, ...traces.flatMap(trace => trace.history));
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.lineWidth = 1.5;
+
+    traces.forEach(({ name, history }) => {
+        ctx.strokeStyle = App.integratorColors[name];
+        ctx.beginPath();
+        history.forEach((energy, i) => {
+            const x = w * i / (historyLength - 1);
+            const y = h - 2 - (energy / maxEnergy) * (h - 4);
+            i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    });
+
+    document.getElementById('energyPlotMax').textContent = Math.round(maxEnergy);
+}
+
+function updateStats() {
+    const data = frameRenderData(getActiveBezier());
+    document.getElementById('p1VelocityStat').textContent = Math.round(data.springs.p1Velocity.magnitude());
+    document.getElementById('p2VelocityStat').textContent = Math.round(data.springs.p2Velocity.magnitude());
+    document.getElementById('p1EnergyStat').textContent = Math.round(data.springs.p1Energy);
+    document.getElementById('p2EnergyStat').textContent = Math.round(data.springs.p2Energy);
+    document.getElementById('arcLengthDisplay').textContent = Math.round(data.spline.arcLength()) + ' px';
+}
+
+function frameRenderData(bezier) {
+    const cache = App.renderCache;
+    if (cache.frame === App.frame && cache.bezier === bezier) return cache.data;
+
+    const data = bezier.getRenderData();
+    const shape = data.segments.map(seg => seg.points.map(p => `${p.x},${p.y}`).join(' ')).join(';');
+    if (bezier !== cache.bezier || shape !== cache.shape) {
+        cache.hover = null;
+        cache.intersections = null;
+    }
+    Object.assign(cache, { frame: App.frame, bezier, data, shape });
+    return data;
+}
+
+function cachedHoverProjection(data) {
+    const cache = App.renderCache;
+    const key = `${App.mouse.x},${App.mouse.y}`;
+    if (!cache.hover || cache.hoverKey !== key) {
+        cache.hover = data.spline.project(new Vector2D(App.mouse.x, App.mouse.y));
+        cache.hoverKey = key;
+    }
+    return cache.hover;
+}
+
+function cachedSelfIntersections(data) {
+    const cache = App.renderCache;
+    if (!cache.intersections) cache.intersections = data.spline.selfIntersections();
+    return cache.intersections;
+}
+
+function render() {
+    const ctx = App.ctx;
+    const w = App.width;
+    const h = App.height;
+
+    const bg = ctx.createRadialGradient(w/2, h/2, 0, w/2, h/2, Math.max(w, h) * 0.7);
+    bg.addColorStop(0, '#12121a');
+    bg.addColorStop(0.5, '#0a0a0f');
+    bg.addColorStop(1, '#050508');
+    ctx.fillStyle = bg;
+    ctx.fillRect(0, 0, w, h);
+
+    if (App.viewMode === 'easing') {
+        renderEasing(ctx, w, h);
+        return;
+    }
+
+    if (App.options.view3D) {
+        render3D(ctx, w, h);
+        if (!App.renderingClip) drawCurvaturePlot(null);
+        return;
+    }
+
+    if (App.options.showGrid) drawGrid(ctx, w, h);
+
+    const data = frameRenderData(App.bezier);
+
+    drawSpringNetwork(ctx, data.links);
+    drawForceFields(ctx, data.forces, p => p);
+    drawRopes(ctx, data.ropes);
+    if (App.options.showHandles) drawControlHandles(ctx, data.anchors, data.handles);
+    if (App.options.showOffsets) drawOffsets(ctx, data.spline);
+    if (App.options.strokeProfile === 'uniform') drawCurve(ctx, data.points);
+    else drawVariableStroke(ctx, data.spline, data.anchors);
+    if (App.viewMode === 'analysis' && App.options.showBounds) drawBounds(ctx, data);
+    if (App.options.showTangents) drawTangents(ctx, data.tangents);
+    if (App.options.showIntersections && data.segments.length > 1) {
+        drawIntersections(ctx, cachedSelfIntersections(data));
+    }
+    if (App.options.showComb) drawCurvatureComb(ctx, data.segments);
+    if (App.options.showInflections) drawInflections(ctx, data.spline.inflections());
+
+    const needsHover = App.options.showOsculating || App.options.showCurvaturePlot || App.viewMode === 'analysis';
+    const hover = needsHover ? cachedHoverProjection(data) : null;
+    if (App.options.showOsculating) drawOsculatingCircle(ctx, data.segments[hover.segment], hover.t);
+    // Clip frames leave the panel's plot and readouts alone
+    if (!App.renderingClip) {
+        drawCurvaturePlot(App.options.showCurvaturePlot ? data.segments : null, hover);
+        if (App.viewMode === 'analysis') updateClassification(data.segments[hover.segment], hover.segment);
+    }
+
+    if (App.options.showPoints) drawControlPoints(ctx, data.anchors, data.handles, data.pinned);
+
+    const probe = getProbe();
+    if (probe) drawProbe(ctx, probe.screen);
+}
+
+// Projects the 3D curve through the orbit camera and reuses the 2D drawing routines
+function render3D(ctx, w, h) {
+    const camera = App.camera;
+    const data = frameRenderData(App.bezier3D);
+    const project = p => camera.project(p);
+
+    if (App.options.showGrid) drawGrid3D(ctx, w, h);
+    drawDepthGuides(ctx, data.anchors.concat(data.handles));
+
+    const anchors = data.anchors.map(project);
+    const handles = data.handles.map(project);
+
+    drawSpringNetwork(ctx, data.links.map(link => ({ ...link, a: project(link.a), b: project(link.b) })));
+    drawForceFields(ctx, data.forces, p => project(new Vector3D(p.x, p.y, 0)));
+    drawRopes(ctx, data.ropes.map(rope => rope.map(project)));
+    if (App.options.showHandles) drawControlHandles(ctx, anchors, handles);
+    drawCurve(ctx, data.points.map(project));
+    if (App.options.showTangents) {
+        drawTangents(ctx, data.tangents.map(t => ({
+            start: project(t.start),
+            end: project(t.end)
+        })));
+    }
+    if (App.options.showPoints) drawControlPoints(ctx, anchors, handles, data.pinned);
+
+    const probe = getProbe();
+    if (probe) drawProbe(ctx, probe.screen);
+}
+
+// Unit box on the left (y up, so eased progress rises), preview tracks on the right
+function easingLayout(w, h) {
+    const size = Math.min(h * 0.55, w * 0.4);
+    const origin = new Vector2D(w * 0.08, (h + size) / 2);
+    return {
+        size,
+        origin,
+        toScreen: p => new Vector2D(origin.x + p.x * size, origin.y - p.y * size),
+        fromScreen: p => new Vector2D((p.x - origin.x) / size, (origin.y - p.y) / size),
+        trackStart: origin.x + size + 100,
+        trackEnd: w - 60
+    };
+}
+
+function pickEasingHandle() {
+    const layout = easingLayout(App.width, App.height);
+    const mousePos = new Vector2D(App.mouse.x, App.mouse.y);
+    const curve = App.easing.curve;
+    const hits = ['p1', 'p2'].filter(key => mousePos.distanceTo(layout.toScreen(curve[key])) < 20);
+    App.easing.dragging = hits[0] || null;
+}
+
+// The handles may overshoot vertically but x stays in [0, 1], as CSS requires
+function dragEasingHandle() {
+    const layout = easingLayout(App.width, App.height);
+    const point = layout.fromScreen(new Vector2D(App.mouse.x, App.mouse.y));
+    App.easing.curve[App.easing.dragging] = new Vector2D(Utils.clamp(point.x, 0, 1), point.y);
+    selectEasingPreset(null);
+}
+
+function selectEasingPreset(name) {
+    if (name) App.easing.curve = CubicBezier.fromTimingFunction(CubicBezier.easings[name]);
+    document.querySelectorAll('.easing-btn').forEach(btn => btn.classList.toggle('active', btn.dataset.easing === name));
+}
+
+function renderEasing(ctx, w, h) {
+    const layout = easingLayout(w, h);
+    const { size, toScreen } = layout;
+    const curve = App.easing.curve;
+    const corner = toScreen(new Vector2D(0, 1));
+
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.05)';
+    ctx.lineWidth = 1;
+    for (let i = 1; i < 4; i++) {
+        const a = toScreen(new Vector2D(i / 4, 0));
+        const b = toScreen(new Vector2D(0, i / 4));
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y); ctx.lineTo(a.x, a.y - size);
+        ctx.moveTo(b.x, b.y); ctx.lineTo(b.x + size, b.y);
+        ctx.stroke();
+    }
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.strokeRect(corner.x, corner.y, size, size);
+
+    ctx.setLineDash([4, 4]);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.beginPath();
+    ctx.moveTo(layout.origin.x, layout.origin.y);
+    ctx.lineTo(corner.x + size, corner.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.font = '11px JetBrains Mono, monospace';
+    ctx.textAlign = 'center';
+    ctx.fillText('time', layout.origin.x + size / 2, layout.origin.y + 24);
+    ctx.save();
+    ctx.translate(layout.origin.x - 24, layout.origin.y - size / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText('progress', 0, 0);
+    ctx.restore();
+    ctx.restore();
+
+    const anchors = [curve.p0, curve.p3].map(toScreen);
+    const handles = [curve.p1, curve.p2].map(toScreen);
+    drawControlHandles(ctx, anchors, handles);
+    drawCurve(ctx, curve.sample(App.options.curveResolution).map(toScreen));
+
+    // Progress loops with a short hold at the end of each run
+    const hold = 0.5;
+    const x = Math.min(1, (App.easing.time % (App.easing.duration + hold)) / App.easing.duration);
+    const marker = toScreen(new Vector2D(x, curve.yAtX(x)));
+    drawProbe(ctx, marker);
+
+    drawControlPoints(ctx, anchors, handles, [true, true]);
+    drawEasingTracks(ctx, layout, x);
+}
+
+// The edited curve on top, then the named presets for comparison
+function drawEasingTracks(ctx, layout, x) {
+    const tracks = [{ label: 'custom', curve: App.easing.curve, color: App.options.curveColor1 }]
+        .concat(Object.keys(CubicBezier.easings).map(name => ({
+            label: name,
+            curve: CubicBezier.fromTimingFunction(CubicBezier.easings[name]),
+            color: 'rgba(255, 255, 255, 0.6)'
+        })));
+    const spacing = layout.size / (tracks.length - 1);
+    const length = layout.trackEnd - layout.trackStart;
+    const box = 16;
+
+    ctx.save();
+    ctx.font = '11px JetBrains Mono, monospace';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    tracks.forEach((track, i) => {
+        const y = layout.origin.y - layout.size + i * spacing;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(layout.trackStart, y);
+        ctx.lineTo(layout.trackEnd, y);
+        ctx.stroke();
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillText(track.label, layout.trackStart - 16, y);
+
+        const position = layout.trackStart + track.curve.yAtX(x) * length;
+        ctx.fillStyle = track.color;
+        ctx.fillRect(position - box / 2, y - box / 2, box, box);
+    });
+    ctx.restore();
+}
+
+// Grid on the z = 0 plane, matching the 2D grid when the camera is unrotated
+function drawGrid3D(ctx, w, h) {
+    const size = 50;
+    const extent = Math.max(w, h);
+    const camera = App.camera;
+
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.04)';
+    ctx.lineWidth = 1;
+
+    const line = (a, b) => {
+        const pa = camera.project(a);
+        const pb = camera.project(b);
+        if (!pa.visible || !pb.visible) return;
+        ctx.beginPath();
+        ctx.moveTo(pa.x, pa.y);
+        ctx.lineTo(pb.x, pb.y);
+        ctx.stroke();
+    };
+
+    for (let x = w / 2 - extent; x <= w / 2 + extent; x += size) {
+        line(new Vector3D(x, h / 2 - extent, 0), new Vector3D(x, h / 2 + extent, 0));
+    }
+    for (let y = h / 2 - extent; y <= h / 2 + extent; y += size) {
+        line(new Vector3D(w / 2 - extent, y, 0), new Vector3D(w / 2 + extent, y, 0));
+    }
+
+    const origin = new Vector3D(w / 2, h / 2, 0);
+    const axes = [
+        { dir: new Vector3D(1, 0, 0), color: 'rgba(255, 80, 80, 0.35)' },
+        { dir: new Vector3D(0, 1, 0), color: 'rgba(80, 255, 120, 0.35)' },
+        { dir: new Vector3D(0, 0, 1), color: 'rgba(80, 160, 255, 0.35)' }
+    ];
+    axes.forEach(axis => {
+        ctx.strokeStyle = axis.color;
+        line(origin, origin.add(axis.dir.multiply(size * 2)));
+    });
+
+    ctx.restore();
+}
+
+// Faint drop lines from each control point to the z = 0 plane to read depth
+function drawDepthGuides(ctx, points) {
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 4]);
+
+    points.forEach(p => {
+        const top = App.camera.project(p);
+        const base = App.camera.project(new Vector3D(p.x, p.y, 0));
+        ctx.beginPath();
+        ctx.moveTo(top.x, top.y);
+        ctx.lineTo(base.x, base.y);
+        ctx.stroke();
+    });
+
+    ctx.restore();
+}
+
+function drawGrid(ctx, w, h) {
+    const size = 50;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.03)';
+    ctx.lineWidth = 1;
+
+    for (let x = 0; x <= w; x += size) {
+        ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, h); ctx.stroke();
+    }
+    for (let y = 0; y <= h; y += size) {
+        ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(w, y); ctx.stroke();
+    }
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.beginPath();
+    ctx.moveTo(w/2, 0); ctx.lineTo(w/2, h);
+    ctx.moveTo(0, h/2); ctx.lineTo(w, h/2);
+    ctx.stroke();
+}
+
+function drawControlHandles(ctx, anchors, handles) {
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([5, 5]);
+
+    for (let i = 0; i < anchors.length - 1; i++) {
+        const h1 = handles[2 * i];
+        const h2 = handles[2 * i + 1];
+
+        ctx.beginPath();
+        ctx.moveTo(anchors[i].x, anchors[i].y); ctx.lineTo(h1.x, h1.y);
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.moveTo(h2.x, h2.y); ctx.lineTo(anchors[i + 1].x, anchors[i + 1].y);
+        ctx.stroke();
+    }
+
+    ctx.restore();
+}
+
+// Faint lines for the inter-point springs, warming towards magenta as they stretch
+// and towards cyan as they compress
+function drawSpringNetwork(ctx, links) {
+    if (links.length === 0) return;
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 3]);
+
+    links.forEach(link => {
+        const strain = Utils.clamp(link.strain * 4, -1, 1);
+        const color = strain >= 0 ? '255, 0, 170' : '0, 212, 255';
+        ctx.strokeStyle = `rgba(${color}, ${0.12 + 0.3 * Math.abs(strain)})`;
+        ctx.beginPath();
+        ctx.moveTo(link.a.x, link.a.y);
+        ctx.lineTo(link.b.x, link.b.y);
+        ctx.stroke();
+    });
+
+    ctx.restore();
+}
+
+// Attractors and repulsors: a marker at the centre and a faint ring at the falloff radius
+function drawForceFields(ctx, fields, project) {
+    ctx.save();
+    fields.forEach(field => {
+        if (!field.position) return;
+        const p = project(field.position);
+        const color = field.type === 'attractor' ? '0, 212, 255' : '255, 0, 170';
+
+        ctx.strokeStyle = `rgba(${color}, 0.2)`;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 5]);
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, field.radius, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.setLineDash([]);
+        ctx.strokeStyle = `rgba(${color}, 0.8)`;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 8, 0, Math.PI * 2);
+        ctx.moveTo(p.x - 4, p.y);
+        ctx.lineTo(p.x + 4, p.y);
+        if (field.type === 'attractor') {
+            ctx.moveTo(p.x, p.y - 4);
+            ctx.lineTo(p.x, p.y + 4);
+        }
+        ctx.stroke();
+    });
+    ctx.restore();
+}
+
+// The simulated chain behind rope mode, faint under the fitted curve
+function drawRopes(ctx, ropes) {
+    ctx.save();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+    ropes.forEach(rope => {
+        rope.forEach(p => {
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 2, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    });
+    ctx.restore();
+}
+
+function drawCurve(ctx, points) {
+    if (points.length < 2) return;
+
+    ctx.save();
+
+    if (App.options.showGlow) {
+        ctx.shadowBlur = 15;
+        ctx.shadowColor = App.options.curveColor1;
+    }
+
+    ctx.lineWidth = App.options.curveWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    if (App.options.gradientCurve) {
+        for (let i = 0; i < points.length - 1; i++) {
+            const t = i / (points.length - 1);
+            ctx.strokeStyle = ColorUtils.lerp(App.options.curveColor1, App.options.curveColor2, t);
+            ctx.beginPath();
+            ctx.moveTo(points[i].x, points[i].y);
+            ctx.lineTo(points[i + 1].x, points[i + 1].y);
+            ctx.stroke();
+        }
+    } else {
+        ctx.strokeStyle = App.options.curveColor1;
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+        ctx.stroke();
+    }
+
+    ctx.restore();
+}
+
+// Filled outline whose width follows the selected stroke profile
+function drawVariableStroke(ctx, spline, anchors) {
+    const profile = App.strokeProfiles[App.options.strokeProfile];
+    const maxWidth = App.options.curveWidth * 4;
+    const perCurve = Math.max(10, Math.round(App.options.curveResolution / spline.segmentCount));
+    const outline = spline.outline((u, seg, t) => maxWidth * profile(u, seg, t), perCurve);
+
+    ctx.save();
+
+    if (App.options.showGlow) {
+        ctx.shadowBlur = 15;
+        ctx.shadowColor = App.options.curveColor1;
+    }
+
+    if (App.options.gradientCurve) {
+        const start = anchors[0];
+        const end = anchors[anchors.length - 1];
+        ctx.fillStyle = CanvasUtils.createLinearGradient(ctx, start.x, start.y, end.x, end.y, [
+            [0, App.options.curveColor1],
+            [1, App.options.curveColor2]
+        ]);
+    } else {
+        ctx.fillStyle = App.options.curveColor1;
+    }
+
+    ctx.beginPath();
+    outline.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.restore();
+}
+
+// Cubic approximations of the curves offset to either side of the path
+function drawOffsets(ctx, spline) {
+    const distance = App.options.offsetDistance;
+
+    ctx.save();
+    ctx.strokeStyle = 'rgba(0, 212, 255, 0.4)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([6, 4]);
+
+    [distance, -distance].forEach(d => {
+        spline.offset(d).forEach(seg => {
+            const { p0, p1, p2, p3 } = seg;
+            ctx.beginPath();
+            ctx.moveTo(p0.x, p0.y);
+            ctx.bezierCurveTo(p1.x, p1.y, p2.x, p2.y, p3.x, p3.y);
+            ctx.stroke();
+        });
+    });
+
+    ctx.restore();
+}
+
+// Exact per-segment bounds with their extrema, plus the minimum-area box of the whole path
+function drawBounds(ctx, data) {
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    ctx.font = '10px JetBrains Mono, monospace';
+
+    data.segments.forEach(seg => {
+        const box = seg.boundingBox();
+        ctx.strokeStyle = 'rgba(0, 255, 136, 0.5)';
+        ctx.strokeRect(box.min.x, box.min.y, box.max.x - box.min.x, box.max.y - box.min.y);
+
+        const ext = seg.extrema();
+        ctx.fillStyle = '#00ff88';
+        ext.x.concat(ext.y).forEach(t => {
+            const p = seg.evaluate(t);
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    });
+
+    const obb = data.spline.orientedBoundingBox();
+    ctx.strokeStyle = 'rgba(255, 221, 0, 0.7)';
+    ctx.beginPath();
+    obb.corners.forEach((c, i) => i === 0 ? ctx.moveTo(c.x, c.y) : ctx.lineTo(c.x, c.y));
+    ctx.closePath();
+    ctx.stroke();
+
+    ctx.fillStyle = 'rgba(255, 221, 0, 0.8)';
+    ctx.fillText(
+        `${Math.round(obb.width)} × ${Math.round(obb.height)}`,
+        obb.corners[0].x + 4, obb.corners[0].y - 6
+    );
+
+    ctx.restore();
+}
+
+// Porcupine comb: teeth along -normal scaled by signed curvature, so they stand on
+// the outside of each bend, with their tips joined into an envelope
+function drawCurvatureComb(ctx, segments) {
+    const perCurve = Math.max(20, Math.round(App.options.curveResolution / segments.length));
+    const maxTooth = 150;
+
+    ctx.save();
+    ctx.lineWidth = 1;
+
+    segments.forEach(seg => {
+        const tips = [];
+        ctx.strokeStyle = 'rgba(170, 102, 255, 0.45)';
+        ctx.beginPath();
+        for (let i = 0; i <= perCurve; i++) {
+            const t = i / perCurve;
+            const p = seg.evaluate(t);
+            const length = Utils.clamp(-seg.signedCurvature(t) * App.options.combScale, -maxTooth, maxTooth);
+            const tip = p.add(seg.normal(t).multiply(length));
+            ctx.moveTo(p.x, p.y);
+            ctx.lineTo(tip.x, tip.y);
+            tips.push(tip);
+        }
+        ctx.stroke();
+
+        ctx.strokeStyle = 'rgba(170, 102, 255, 0.9)';
+        ctx.beginPath();
+        tips.forEach((tip, i) => i === 0 ? ctx.moveTo(tip.x, tip.y) : ctx.lineTo(tip.x, tip.y));
+        ctx.stroke();
+    });
+
+    ctx.restore();
+}
+
+function drawInflections(ctx, inflections) {
+    ctx.save();
+    ctx.fillStyle = '#00ff88';
+    ctx.strokeStyle = '#0a0a0f';
+    ctx.lineWidth = 1.5;
+
+    inflections.forEach(({ point }) => {
+        ctx.beginPath();
+        ctx.moveTo(point.x, point.y - 6);
+        ctx.lineTo(point.x + 6, point.y);
+        ctx.lineTo(point.x, point.y + 6);
+        ctx.lineTo(point.x - 6, point.y);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+    });
+
+    ctx.restore();
+}
+
+// Circle of curvature at the curve point nearest the mouse
+function drawOsculatingCircle(ctx, seg, t) {
+    const point = seg.evaluate(t);
+    const kappa = seg.signedCurvature(t);
+
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 221, 0, 0.7)';
+    ctx.fillStyle = '#ffdd00';
+    ctx.lineWidth = 1;
+
+    if (Math.abs(kappa) > 1e-4) {
+        const center = point.add(seg.normal(t).multiply(1 / kappa));
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, 1 / Math.abs(kappa), 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(point.x, point.y);
+        ctx.lineTo(center.x, center.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, 3, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+}
+
+// Signed κ over the whole path, with segment joints and the mouse-projected t marked
+function drawCurvaturePlot(segments, hover) {
+    const wrap = document.getElementById('curvaturePlotWrap');
+    wrap.classList.toggle('visible', !!segments);
+    if (!segments) return;
+
+    const canvas = document.getElementById('curvaturePlot');
+    const w = 160;
+    const h = 60;
+    if (!App.plotCtx) App.plotCtx = CanvasUtils.setupHiDPI(canvas, w, h);
+    const ctx = App.plotCtx;
+    const samples = 120;
+    const count = segments.length;
+
+    const values = [];
+    for (let i = 0; i <= samples; i++) {
+        const u = i / samples;
+        const index = Math.min(count - 1, Math.floor(u * count));
+        values.push(segments[index].signedCurvature(u * count - index));
+    }
+    const maxAbs = Math.max(1e-6, ...values.map(Math.abs));
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.beginPath();
+    ctx.moveTo(0, h / 2);
+    ctx.lineTo(w, h / 2);
+    for (let i = 1; i < count; i++) {
+        ctx.moveTo(w * i / count, 0);
+        ctx.lineTo(w * i / count, h);
+    }
+    ctx.stroke();
+
+    ctx.strokeStyle = '#aa66ff';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    values.forEach((k, i) => {
+        const x = w * i / samples;
+        const y = h / 2 - (k / maxAbs) * (h / 2 - 4);
+        i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+
+    const x = w * (hover.segment + hover.t) / count;
+    ctx.strokeStyle = '#ffdd00';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, h);
+    ctx.stroke();
+
+    document.getElementById('curvaturePlotMax').textContent = maxAbs.toExponential(1);
+}
+
+const CURVE_TYPE_LABELS = {
+    'arch': 'Arch',
+    'single-inflection': 'Single inflection',
+    'double-inflection': 'Double inflection',
+    'cusp': 'Cusp',
+    'loop': 'Loop',
+    'degenerate': 'Degenerate'
+};
+
+// Classifies the segment nearest the mouse and places it on the canonical diagram
+function updateClassification(seg, index) {
+    const info = seg.classify();
+    const prefix = App.bezier.segmentCount > 1 ? `Seg ${index}: ` : '';
+    document.getElementById('curveTypeValue').textContent = prefix + CURVE_TYPE_LABELS[info.type];
+    document.getElementById('inflectionValue').textContent =
+        info.inflections.length ? info.inflections.map(t => 't=' + t.toFixed(2)).join(', ') : '—';
+    drawCanonicalDiagram(info);
+}
+
+// Stone–DeRose regions with P₀, P₁, P₂ fixed at (0,0), (0,1), (1,1) and the free P₃ plotted
+function drawCanonicalDiagram(info) {
+    const canvas = document.getElementById('canonicalDiagram');
+    const w = 200;
+    const h = 150;
+    if (!App.diagramCtx) App.diagramCtx = CanvasUtils.setupHiDPI(canvas, w, h);
+    const ctx = App.diagramCtx;
+
+    const range = { minX: -3, maxX: 2, minY: -1.5, maxY: 2 };
+    const toX = x => (x - range.minX) / (range.maxX - range.minX) * w;
+    const toY = y => h - (y - range.minY) / (range.maxY - range.minY) * h;
+    const steps = 60;
+
+    const region = (color, upper, lower) => {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        for (let i = 0; i <= steps; i++) {
+            const x = Utils.lerp(upper.from, upper.to, i / steps);
+            i === 0 ? ctx.moveTo(toX(x), toY(upper.fn(x))) : ctx.lineTo(toX(x), toY(upper.fn(x)));
+        }
+        for (let i = steps; i >= 0; i--) {
+            const x = Utils.lerp(lower.from, lower.to, i / steps);
+            ctx.lineTo(toX(x), toY(lower.fn(x)));
+        }
+        ctx.closePath();
+        ctx.fill();
+    };
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.fillStyle = 'rgba(0, 212, 255, 0.08)';
+    ctx.fillRect(0, 0, w, h);
+    ctx.fillStyle = 'rgba(255, 136, 0, 0.2)';
+    ctx.fillRect(0, 0, w, toY(1));
+    region('rgba(170, 102, 255, 0.3)',
+        { from: range.minX, to: 1, fn: () => 1 },
+        { from: range.minX, to: 1, fn: CubicBezier.canonicalCusp });
+    region('rgba(255, 0, 170, 0.3)',
+        { from: range.minX, to: 1, fn: CubicBezier.canonicalCusp },
+        { from: range.minX, to: 1, fn: CubicBezier.canonicalLoopBoundary });
+
+    ctx.strokeStyle = '#ffdd00';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let i = 0; i <= steps; i++) {
+        const x = Utils.lerp(range.minX, 1, i / steps);
+        i === 0 ? ctx.moveTo(toX(x), toY(CubicBezier.canonicalCusp(x))) : ctx.lineTo(toX(x), toY(CubicBezier.canonicalCusp(x)));
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = '#ffffff';
+    [[0, 0], [0, 1], [1, 1]].forEach(([x, y]) => {
+        ctx.beginPath();
+        ctx.arc(toX(x), toY(y), 2.5, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    if (info.canonical) {
+        const px = Utils.clamp(toX(info.canonical.x), 4, w - 4);
+        const py = Utils.clamp(toY(info.canonical.y), 4, h - 4);
+        ctx.fillStyle = '#00ff88';
+        ctx.beginPath();
+        ctx.arc(px, py, 4, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    ctx.font = '9px JetBrains Mono, monospace';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.fillText('single infl.', 4, 12);
+    ctx.fillText('double', toX(-2.6), toY(0.6));
+    ctx.fillText('loop', toX(-0.9), toY(-0.35));
+    ctx.fillText('arch', toX(1.3), toY(0));
+}
+
+function drawIntersections(ctx, hits) {
+    ctx.save();
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+
+    if (App.options.showGlow) {
+        ctx.shadowBlur = 10;
+        ctx.shadowColor = '#ffffff';
+    }
+
+    hits.forEach(hit => {
+        const { x, y } = hit.point;
+        ctx.beginPath();
+        ctx.moveTo(x - 5, y - 5);
+        ctx.lineTo(x + 5, y + 5);
+        ctx.moveTo(x + 5, y - 5);
+        ctx.lineTo(x - 5, y + 5);
+        ctx.stroke();
+    });
+
+    ctx.restore();
+}
+
+function drawTangents(ctx, tangents) {
+    ctx.save();
+
+    if (App.options.showGlow) {
+        ctx.shadowBlur = 8;
+        ctx.shadowColor = App.options.tangentColor;
+    }
+
+    ctx.strokeStyle = App.options.tangentColor;
+    ctx.lineWidth = 2;
+    ctx.lineCap = 'round';
+
+    tangents.forEach(t => {
+        ctx.beginPath();
+        ctx.moveTo(t.start.x, t.start.y);
+        ctx.lineTo(t.end.x, t.end.y);
+        ctx.stroke();
+
+        ctx.fillStyle = App.options.tangentColor;
+        ctx.beginPath();
+        ctx.arc(t.start.x, t.start.y, 3, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    ctx.restore();
+}
+
+function toSubscript(n) {
+    return String(n).replace(/\d/g, d => '₀₁₂₃₄₅₆₇₈₉'[d]);
+}
+
+// Points are labelled by their index in the poly-bezier: P₀ P₁ P₂ P₃ P₄ ...
+// Pinned anchors are drawn hollow; unpinned endpoints fill in like the handles
+function drawControlPoints(ctx, anchors, handles, pinned) {
+    const pts = [];
+    anchors.forEach((pos, i) => {
+        pts.push({ pos, color: '#ffffff', label: 'P' + toSubscript(3 * i), fixed: pinned[i], selected: i === App.selectedJoint });
+        if (i < anchors.length - 1) {
+            pts.push({ pos: handles[2 * i], color: '#00d4ff', label: 'P' + toSubscript(3 * i + 1), fixed: false });
+            pts.push({ pos: handles[2 * i + 1], color: '#ff00aa', label: 'P' + toSubscript(3 * i + 2), fixed: false });
+        }
+    });
+
+    pts.forEach(pt => {
+        ctx.save();
+        const r = pt.fixed ? 10 : 12;
+
+        if (App.options.showGlow) {
+            ctx.shadowBlur = 15;
+            ctx.shadowColor = pt.color;
+        }
+
+        ctx.strokeStyle = pt.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(pt.pos.x, pt.pos.y, r, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.fillStyle = pt.fixed ? 'rgba(255,255,255,0.3)' : pt.color;
+        ctx.beginPath();
+        ctx.arc(pt.pos.x, pt.pos.y, r - 4, 0, Math.PI * 2);
+        ctx.fill();
+
+        if (pt.selected) {
+            ctx.strokeStyle = '#ffdd00';
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.arc(pt.pos.x, pt.pos.y, r + 6, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '12px JetBrains Mono, monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(pt.label, pt.pos.x, pt.pos.y - r - 8);
+
+        ctx.restore();
+    });
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
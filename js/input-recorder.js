@@ -0,0 +1,110 @@
+'use strict';
+
+// Records the inputs fed to InteractiveBezier.applyInput with timestamps. A
+// recording is plain JSON so it can be saved and replayed later:
+// { version, source, mode, anchors, duration, events: [{ time, input }] }, where
+// mode is '2d' or '3d' and mobile recordings add the control scheme as control
+class InputRecorder {
+    constructor() {
+        this.recording = false;
+        this.events = [];
+        this.startTime = 0;
+        this.meta = {};
+    }
+
+    start(meta = {}, now = performance.now()) {
+        this.recording = true;
+        this.events = [];
+        this.startTime = now;
+        this.meta = meta;
+    }
+
+    record(input, now = performance.now()) {
+        if (!this.recording) return;
+        this.events.push({ time: (now - this.startTime) / 1000, input });
+    }
+
+    stop(now = performance.now()) {
+        this.recording = false;
+        return {
+            version: 1,
+            ...this.meta,
+            duration: (now - this.startTime) / 1000,
+            events: this.events
+        };
+    }
+
+    static coords(vector) {
+        return vector.z !== undefined ? [vector.x, vector.y, vector.z] : [vector.x, vector.y];
+    }
+
+    static parse(text) {
+        const data = JSON.parse(text);
+        if (!data || !Array.isArray(data.events) || typeof data.duration !== 'number') {
+            throw new Error('Not an input recording');
+        }
+        return data;
+    }
+}
+
+// Replays a recording into an InteractiveBezier. Physics time follows recording
+// time, so speed scales both, and the same recording can be replayed under any
+// spring parameters.
+class InputPlayer {
+    constructor(recording) {
+        this.recording = recording;
+        this.duration = recording.duration;
+        this.time = 0;
+        this.index = 0;
+        this.speed = 1;
+        this.playing = false;
+    }
+
+    get finished() { return this.time >= this.duration; }
+
+    play() {
+        this.playing = true;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    // Applies the events due within the next dt of recording time, then steps the
+    // simulation by the same amount
+    advance(dt, bezier) {
+        const end = Math.min(this.time + dt, this.duration);
+        const events = this.recording.events;
+        while (this.index < events.length && events[this.index].time <= end) {
+            bezier.applyInput(events[this.index].input);
+            this.index++;
+        }
+        bezier.update(end - this.time);
+        this.time = end;
+        if (this.finished) this.playing = false;
+    }
+
+    // Restores the starting pose and re-simulates up to time in fixed steps, so
+    // scrubbing lands on the same state playback would have reached
+    seek(time, bezier) {
+        this.time = 0;
+        this.index = 0;
+
+        const anchors = this.recording.anchors;
+        if (anchors && anchors.length === bezier.anchors.length) {
+            anchors.forEach((coords, i) => bezier.setAnchor(i, bezier.vectorFrom(coords)));
+        }
+        bezier.resetTargets();
+        bezier.reset();
+        bezier.accumulator = 0;
+
+        const target = Math.max(0, Math.min(time, this.duration));
+        while (this.time < target) {
+            this.advance(Math.min(bezier.fixedStep, target - this.time), bezier);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InputRecorder, InputPlayer };
+}
@@ -0,0 +1,197 @@
+'use strict';
+
+// In Node the curve types come from the sibling modules instead of page globals
+if (typeof module !== 'undefined' && module.exports && typeof InteractiveBezier === 'undefined') {
+    Object.assign(globalThis, require('./utils.js'), require('./bezier-math.js'), require('./input-recorder.js'));
+}
+
+// Scene files: the rest shape of each curve with its spring settings, plus the
+// app settings around them, as plain JSON that loads back unchanged:
+// { version, curves: { '2d', '3d' }, settings }. The springs' momentary state
+// is not saved; a loaded scene starts at rest. Older versions are migrated on
+// parse, one version at a time.
+class Scene {
+    // `settings` is app state the curves know nothing about (options, view, ...)
+    static serialize(beziers, settings = {}) {
+        const curves = {};
+        beziers.forEach(bezier => { curves[Scene.modeOf(bezier)] = Scene.serializeCurve(bezier); });
+        return { version: Scene.version, curves, settings };
+    }
+
+    static serializeCurve(bezier) {
+        const coords = InputRecorder.coords;
+        return {
+            size: [bezier.width, bezier.height],
+            anchors: bezier.anchors.map(coords),
+            handles: bezier.handles.map(handle => coords(handle.basePosition)),
+            continuity: bezier.continuity.slice(),
+            springs: {
+                defaults: { ...bezier.springConfig },
+                handles: bezier.handles.map(handle => handle.getSpringParams()),
+                endpoints: {
+                    ...bezier.getEndpointParams(),
+                    pinned: bezier.endpoints.map(endpoint => endpoint.pinned)
+                }
+            },
+            network: { ...bezier.network },
+            ropeMode: bezier.ropeMode,
+            // Fields placed on the canvas; global fields belong to the app settings
+            fields: bezier.forces
+                .filter(field => field.position)
+                .map(field => ({ ...field, position: coords(field.position) }))
+        };
+    }
+
+    static modeOf(bezier) {
+        return bezier instanceof InteractiveBezier3D ? '3d' : '2d';
+    }
+
+    static parse(text) {
+        let scene = JSON.parse(text);
+        if (!scene || typeof scene.version !== 'number') throw new Error('Not a scene file');
+        if (scene.version > Scene.version || !Number.isInteger(scene.version) || scene.version < 1) {
+            throw new Error(`Unsupported scene version ${scene.version}`);
+        }
+        while (scene.version < Scene.version) scene = Scene.migrations[scene.version](scene);
+
+        const curves = Object.values(scene.curves || {});
+        if (curves.length === 0) throw new Error('Not a scene file');
+        curves.forEach(Scene.validateCurve);
+        scene.settings = scene.settings || {};
+        return scene;
+    }
+
+    // Checks everything applyCurve reads, so a malformed scene is rejected
+    // before any curve has been changed
+    static validateCurve(curve) {
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        const isCoords = value => Array.isArray(value) && (value.length === 2 || value.length === 3) && value.every(isNumber);
+        const isParams = value => isObject(value) && Object.values(value).every(isNumber);
+        const check = (valid, message) => { if (!valid) throw new Error(message); };
+
+        check(isObject(curve), 'Scene curve is not an object');
+        const { anchors, handles, springs, network } = curve;
+        check(Array.isArray(anchors) && Array.isArray(handles) &&
+            anchors.length >= 2 && handles.length === 2 * (anchors.length - 1), 'Scene anchors and handles do not match');
+        check(anchors.every(isCoords) && handles.every(isCoords), 'Scene points must be coordinate pairs');
+        check(curve.size === undefined || (Array.isArray(curve.size) && curve.size.length === 2 &&
+            curve.size.every(n => isNumber(n) && n > 0)), 'Scene size must be a width and height');
+        check(Array.isArray(curve.continuity) && curve.continuity.length === anchors.length &&
+            curve.continuity.every(type => type === null || Scene.continuities.includes(type)), 'Scene continuity does not match the anchors');
+
+        check(isObject(springs) && isObject(springs.defaults), 'Scene springs are missing');
+        const { integrator, ...defaults } = springs.defaults;
+        check(isParams(defaults) && (integrator === undefined || Object.keys(SpringPhysics.integrators).includes(integrator)),
+            'Scene spring defaults are malformed');
+        check(Array.isArray(springs.handles) && springs.handles.length === handles.length &&
+            springs.handles.every(isParams), 'Scene springs do not match the handles');
+        check(isObject(springs.endpoints), 'Scene endpoint springs are missing');
+        const { pinned, ...endpointParams } = springs.endpoints;
+        check(isParams(endpointParams) && Array.isArray(pinned) && pinned.length === 2 &&
+            pinned.every(value => typeof value === 'boolean'), 'Scene endpoint springs are malformed');
+
+        const pointCount = 3 * (anchors.length - 1) + 1;
+        const isPoint = k => Number.isInteger(k) && k >= 0 && k < pointCount;
+        check(isObject(network), 'Scene network is missing');
+        // maxStretch is null for links that may stretch without limit
+        const { enabled, topology, maxStretch, ...networkParams } = network;
+        check((enabled === undefined || typeof enabled === 'boolean') && isParams(networkParams) &&
+            (maxStretch === undefined || maxStretch === null || isNumber(maxStretch)), 'Scene network is malformed');
+        check(topology === undefined || Object.keys(InteractiveBezier.topologies).includes(topology) ||
+            (Array.isArray(topology) && topology.every(pair => Array.isArray(pair) && pair.length === 2 && pair.every(isPoint))),
+        'Scene network topology is malformed');
+        check(typeof curve.ropeMode === 'boolean', 'Scene rope mode is missing');
+
+        check(curve.fields === undefined || (Array.isArray(curve.fields) && curve.fields.every(field => {
+            const { type, position, ...params } = isObject(field) ? field : {};
+            return Object.keys(InteractiveBezier.forceFields).includes(type) && isCoords(position) &&
+                Object.values(params).every(value => typeof value === 'boolean' || isNumber(value));
+        })), 'Scene force fields are malformed');
+    }
+
+    // The curve saved for the bezier's own mode, or else whichever one was saved
+    static apply(scene, bezier) {
+        const curve = scene.curves[Scene.modeOf(bezier)] || Object.values(scene.curves)[0];
+        Scene.applyCurve(curve, bezier);
+    }
+
+    // Coordinates go through bezier.vectorFrom, so 2D curves load into 3D ones
+    // at z = 0 and 3D curves load into 2D ones flattened. A curve saved at
+    // another canvas size is scaled to this one.
+    static applyCurve(curve, bezier) {
+        const { width, height } = bezier;
+        const vector = coords => bezier.vectorFrom(coords);
+        const segments = [];
+        for (let i = 0; i < curve.anchors.length - 1; i++) {
+            segments.push({
+                p0: vector(curve.anchors[i]),
+                p1: vector(curve.handles[2 * i]),
+                p2: vector(curve.handles[2 * i + 1]),
+                p3: vector(curve.anchors[i + 1])
+            });
+        }
+
+        const springs = curve.springs;
+        bezier.setSpringParams(springs.defaults);
+        bezier.loadSegments(segments);
+        bezier.continuity = curve.continuity.slice();
+        springs.handles.forEach((params, i) => bezier.setSpringParams(params, i));
+
+        const { pinned, ...endpointParams } = springs.endpoints;
+        bezier.setEndpointParams(endpointParams);
+        pinned.forEach((isPinned, which) => bezier.setEndpointPinned(which, isPinned));
+
+        bezier.setNetwork(curve.network);
+        bezier.setRopeMode(curve.ropeMode);
+
+        if (curve.fields) {
+            bezier.forces.filter(field => field.position).forEach(field => bezier.removeForce(field));
+            curve.fields.forEach(field => bezier.addForce({
+                ...field,
+                position: new Vector2D(field.position[0], field.position[1])
+            }));
+        }
+
+        if (curve.size) {
+            [bezier.width, bezier.height] = curve.size;
+            bezier.resize(width, height);
+        }
+    }
+
+    // URL-safe base64 of the JSON, for the location hash
+    static encode(scene) {
+        const bytes = new TextEncoder().encode(JSON.stringify(scene));
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static decode(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return Scene.parse(new TextDecoder().decode(bytes));
+    }
+}
+
+Scene.version = 2;
+
+// Joint continuities a curve may record; null marks the two ends
+Scene.continuities = ['C0', 'C1', 'G1', 'C2'];
+
+// Each migration turns a scene of its key's version into the next version
+Scene.migrations = {
+    // Version 1 held one curve at the top level and only the stroke style
+    1: scene => {
+        const { version, mode, style, ...curve } = scene;
+        return {
+            version: 2,
+            curves: { [mode || '2d']: { ...curve, fields: [] } },
+            settings: { options: { ...style, view3D: mode === '3d' } }
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Scene };
+}
@@ -0,0 +1,323 @@
+'use strict';
+
+// In Node the curve types come from the sibling modules instead of page globals
+if (typeof module !== 'undefined' && module.exports && typeof CubicBezier === 'undefined') {
+    Object.assign(globalThis, require('./utils.js'), require('./bezier-math.js'));
+}
+
+// SVG path data to and from cubic segments. On import every command becomes
+// cubics: lines get handles at the thirds, quadratics are degree-elevated and
+// elliptical arcs are split into pieces of at most 90 degrees. Transforms are
+// not applied.
+class SVGPath {
+    // Subpaths of path data `d`, each { segments: CubicBezier[], closed }
+    static parse(d) {
+        const tokens = SVGPath.tokenize(d);
+        const subpaths = [];
+        let index = 0;
+        let command = null;
+        let current = new Vector2D(0, 0);
+        let start = current;
+        let subpath = null;
+        // Control point reflected by S / T, and the command that produced it
+        let lastControl = null;
+        let lastCommand = null;
+
+        const number = () => {
+            const token = tokens[index++];
+            if (token === undefined || typeof token !== 'number') throw new Error('Malformed path data');
+            return token;
+        };
+        const flag = () => {
+            const value = number();
+            if (value !== 0 && value !== 1) throw new Error('Malformed arc flag');
+            return value === 1;
+        };
+        const point = relative => {
+            const x = number();
+            const y = number();
+            return relative ? current.add(new Vector2D(x, y)) : new Vector2D(x, y);
+        };
+        const push = (p1, p2, p3) => {
+            if (!subpath) {
+                subpath = { segments: [], closed: false };
+                subpaths.push(subpath);
+            }
+            subpath.segments.push(new CubicBezier(current, p1, p2, p3));
+            current = p3;
+        };
+        const line = end => {
+            push(Vector2D.lerp(current, end, 1 / 3), Vector2D.lerp(current, end, 2 / 3), end);
+        };
+        const quadratic = (control, end) => {
+            push(current.add(control.subtract(current).multiply(2 / 3)),
+                 end.add(control.subtract(end).multiply(2 / 3)), end);
+        };
+
+        while (index < tokens.length) {
+            if (typeof tokens[index] === 'string') {
+                command = tokens[index++];
+            } else if (command === null || command === 'Z' || command === 'z') {
+                throw new Error('Malformed path data');
+            }
+
+            const relative = command === command.toLowerCase();
+            const type = command.toUpperCase();
+            let control = null;
+
+            switch (type) {
+                case 'M':
+                    current = point(relative);
+                    start = current;
+                    subpath = null;
+                    // Further coordinate pairs are implicit line-tos
+                    command = relative ? 'l' : 'L';
+                    break;
+                case 'L':
+                    line(point(relative));
+                    break;
+                case 'H': {
+                    const x = number();
+                    line(new Vector2D(relative ? current.x + x : x, current.y));
+                    break;
+                }
+                case 'V': {
+                    const y = number();
+                    line(new Vector2D(current.x, relative ? current.y + y : y));
+                    break;
+                }
+                case 'C': {
+                    const p1 = point(relative);
+                    const p2 = point(relative);
+                    control = p2;
+                    push(p1, p2, point(relative));
+                    break;
+                }
+                case 'S': {
+                    const p1 = lastControl && 'CS'.includes(lastCommand)
+                        ? current.multiply(2).subtract(lastControl)
+                        : current;
+                    const p2 = point(relative);
+                    control = p2;
+                    push(p1, p2, point(relative));
+                    break;
+                }
+                case 'Q':
+                    control = point(relative);
+                    quadratic(control, point(relative));
+                    break;
+                case 'T':
+                    control = lastControl && 'QT'.includes(lastCommand)
+                        ? current.multiply(2).subtract(lastControl)
+                        : current;
+                    quadratic(control, point(relative));
+                    break;
+                case 'A': {
+                    const rx = number();
+                    const ry = number();
+                    const rotation = Utils.degToRad(number());
+                    const largeArc = flag();
+                    const sweep = flag();
+                    const end = point(relative);
+                    SVGPath.arcToCubics(current, end, rx, ry, rotation, largeArc, sweep)
+                        .forEach(([p1, p2, p3]) => push(p1, p2, p3));
+                    break;
+                }
+                case 'Z':
+                    if (current.distanceTo(start) > 1e-9) line(start);
+                    if (subpath) subpath.closed = true;
+                    current = start;
+                    subpath = null;
+                    break;
+                default:
+                    throw new Error(`Unknown path command ${command}`);
+            }
+
+            lastControl = control;
+            lastCommand = type;
+        }
+
+        return subpaths.filter(path => path.segments.length > 0);
+    }
+
+    // Commands as single-letter strings and everything else as numbers. Arc
+    // flags may be written without separators ("a1 1 0 01 5 5"), so a number
+    // starting at a flag position is cut after its first digit.
+    static tokenize(d) {
+        const tokens = [];
+        const pattern = /([MmLlHhVvCcSsQqTtAaZz])|([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)/g;
+        let arcArgs = -1;
+        let match;
+
+        while ((match = pattern.exec(d)) !== null) {
+            if (match[1]) {
+                tokens.push(match[1]);
+                arcArgs = match[1] === 'A' || match[1] === 'a' ? 0 : -1;
+                continue;
+            }
+
+            let text = match[2];
+            if (arcArgs >= 0) {
+                // Positions 3 and 4 of each seven-number arc group are flags
+                const position = arcArgs % 7;
+                if ((position === 3 || position === 4) && text.length > 1 && /^[01]/.test(text)) {
+                    pattern.lastIndex = match.index + 1;
+                    text = text[0];
+                }
+                arcArgs++;
+            }
+            tokens.push(parseFloat(text));
+        }
+        return tokens;
+    }
+
+    // Endpoint-parameterised arc (SVG implementation notes, F.6.5) as cubic
+    // pieces [p1, p2, p3] of at most 90 degrees each
+    static arcToCubics(from, to, rx, ry, rotation, largeArc, sweep) {
+        if (from.distanceTo(to) < 1e-9) return [];
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (rx === 0 || ry === 0) {
+            return [[Vector2D.lerp(from, to, 1 / 3), Vector2D.lerp(from, to, 2 / 3), to]];
+        }
+
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const half = from.subtract(to).multiply(0.5);
+        const x1 = cos * half.x + sin * half.y;
+        const y1 = -sin * half.x + cos * half.y;
+
+        // Radii too small to reach the endpoint are scaled up uniformly
+        const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+        const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+        let factor = Math.sqrt(Math.max(0, numerator / denominator));
+        if (largeArc === sweep) factor = -factor;
+        const cx1 = factor * rx * y1 / ry;
+        const cy1 = -factor * ry * x1 / rx;
+
+        const mid = from.add(to).multiply(0.5);
+        const center = new Vector2D(cos * cx1 - sin * cy1 + mid.x, sin * cx1 + cos * cy1 + mid.y);
+
+        const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const theta1 = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+        let delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+        if (!sweep && delta > 0) delta -= 2 * Math.PI;
+        if (sweep && delta < 0) delta += 2 * Math.PI;
+
+        const ellipse = t => new Vector2D(
+            center.x + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+            center.y + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos
+        );
+        const derivative = t => new Vector2D(
+            -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+            -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos
+        );
+
+        const count = Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9);
+        const step = delta / count;
+        const k = (4 / 3) * Math.tan(step / 4);
+        const pieces = [];
+        for (let i = 0; i < count; i++) {
+            const a = theta1 + i * step;
+            const b = a + step;
+            const end = i === count - 1 ? to : ellipse(b);
+            pieces.push([
+                ellipse(a).add(derivative(a).multiply(k)),
+                end.subtract(derivative(b).multiply(k)),
+                end
+            ]);
+        }
+        return pieces;
+    }
+
+    // Path data of every <path> element in an SVG document, in document order
+    static extractPathData(svgText) {
+        const data = [];
+        const pattern = /<path\b[^>]*?\sd\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = pattern.exec(svgText)) !== null) data.push(match[1] ?? match[2]);
+        return data;
+    }
+
+    // Accepts a whole SVG document or bare path data; returns the subpaths
+    static parseDocument(text) {
+        const trimmed = text.trim();
+        const data = trimmed.startsWith('<') ? SVGPath.extractPathData(trimmed) : [trimmed];
+        const subpaths = [].concat(...data.map(d => SVGPath.parse(d)));
+        if (subpaths.length === 0) throw new Error('No path data found');
+        return subpaths;
+    }
+
+    // Path data for cubics joined end to end. Only x and y are written, so 3D
+    // curves come out as seen straight on.
+    static toPathData(segments, precision = 2) {
+        const point = p => `${+p.x.toFixed(precision)},${+p.y.toFixed(precision)}`;
+        return [`M${point(segments[0].p0)}`]
+            .concat(segments.map(seg => `C${point(seg.p1)} ${point(seg.p2)} ${point(seg.p3)}`))
+            .join(' ');
+    }
+
+    // Standalone SVG document stroking the segments with style { width, color1,
+    // color2, gradient }. SVG has no along-the-path gradient, so the gradient
+    // runs in a straight line from the first anchor to the last instead. The
+    // style goes into attributes as is, so only #rrggbb colours and numeric
+    // widths are accepted.
+    static toDocument(segments, style, width, height) {
+        const isColor = value => /^#[0-9a-f]{6}$/i.test(value);
+        if (!isColor(style.color1) || (style.gradient && !isColor(style.color2))) {
+            throw new Error('Stroke colours must be #rrggbb');
+        }
+        if (typeof style.width !== 'number' || !Number.isFinite(style.width)) {
+            throw new Error('Stroke width must be a number');
+        }
+
+        const start = segments[0].p0;
+        const end = segments[segments.length - 1].p3;
+        const stroke = style.gradient ? 'url(#curveGradient)' : style.color1;
+        const defs = style.gradient ? [
+            '  <defs>',
+            `    <linearGradient id="curveGradient" gradientUnits="userSpaceOnUse" x1="${+start.x.toFixed(2)}" y1="${+start.y.toFixed(2)}" x2="${+end.x.toFixed(2)}" y2="${+end.y.toFixed(2)}">`,
+            `      <stop offset="0" stop-color="${style.color1}"/>`,
+            `      <stop offset="1" stop-color="${style.color2}"/>`,
+            '    </linearGradient>',
+            '  </defs>'
+        ] : [];
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            ...defs,
+            `  <path d="${SVGPath.toPathData(segments)}" fill="none" stroke="${stroke}" stroke-width="${style.width}" stroke-linecap="round" stroke-linejoin="round"/>`,
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    // Uniformly scales and centres segments into a width x height box with the given margin
+    static fitToRect(segments, width, height, margin = 60) {
+        const points = [].concat(...segments.map(seg => seg.points));
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const min = new Vector2D(Math.min(...xs), Math.min(...ys));
+        const max = new Vector2D(Math.max(...xs), Math.max(...ys));
+        const size = max.subtract(min);
+
+        const scale = Math.min(
+            (width - 2 * margin) / (size.x || 1),
+            (height - 2 * margin) / (size.y || 1)
+        );
+        const offset = new Vector2D(width / 2, height / 2).subtract(min.add(max).multiply(0.5 * scale));
+        const map = p => p.multiply(scale).add(offset);
+
+        return segments.map(seg => new CubicBezier(map(seg.p0), map(seg.p1), map(seg.p2), map(seg.p3)));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SVGPath };
+}
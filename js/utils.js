@@ -1,354 +1,664 @@
-'use strict';
-
-// 2D Vector class
-class Vector2D {
-    constructor(x = 0, y = 0) {
-        this.x = x;
-        this.y = y;
-        Object.freeze(this);
-    }
-
-    static zero() { return new Vector2D(0, 0); }
-    static right() { return new Vector2D(1, 0); }
-    static up() { return new Vector2D(0, -1); }
-
-    static fromAngle(angle, magnitude = 1) {
-        return new Vector2D(
-            Math.cos(angle) * magnitude,
-            Math.sin(angle) * magnitude
-        );
-    }
-
-    static fromObject(obj) {
-        return new Vector2D(obj.x || 0, obj.y || 0);
-    }
-
-    static lerp(a, b, t) {
-        const ct = Math.max(0, Math.min(1, t));
-        return new Vector2D(
-            a.x + (b.x - a.x) * ct,
-            a.y + (b.y - a.y) * ct
-        );
-    }
-
-    add(v) { return new Vector2D(this.x + v.x, this.y + v.y); }
-    subtract(v) { return new Vector2D(this.x - v.x, this.y - v.y); }
-    multiply(s) { return new Vector2D(this.x * s, this.y * s); }
-    
-    divide(s) {
-        if (s === 0) return new Vector2D(0, 0);
-        return new Vector2D(this.x / s, this.y / s);
-    }
-
-    negate() { return new Vector2D(-this.x, -this.y); }
-    magnitude() { return Math.sqrt(this.x * this.x + this.y * this.y); }
-    magnitudeSquared() { return this.x * this.x + this.y * this.y; }
-
-    normalize() {
-        const mag = this.magnitude();
-        if (mag === 0) return new Vector2D(0, 0);
-        return this.divide(mag);
-    }
-
-    angle() { return Math.atan2(this.y, this.x); }
-    dot(v) { return this.x * v.x + this.y * v.y; }
-    cross(v) { return this.x * v.y - this.y * v.x; }
-
-    distanceTo(v) {
-        const dx = this.x - v.x;
-        const dy = this.y - v.y;
-        return Math.sqrt(dx * dx + dy * dy);
-    }
-
-    distanceSquaredTo(v) {
-        const dx = this.x - v.x;
-        const dy = this.y - v.y;
-        return dx * dx + dy * dy;
-    }
-
-    equals(v, epsilon = 0.0001) {
-        return Math.abs(this.x - v.x) < epsilon && Math.abs(this.y - v.y) < epsilon;
-    }
-
-    rotate(angle) {
-        const cos = Math.cos(angle);
-        const sin = Math.sin(angle);
-        return new Vector2D(
-            this.x * cos - this.y * sin,
-            this.x * sin + this.y * cos
-        );
-    }
-
-    perpendicular() { return new Vector2D(-this.y, this.x); }
-
-    reflect(normal) {
-        const n = normal.normalize();
-        return this.subtract(n.multiply(2 * this.dot(n)));
-    }
-
-    projectOnto(v) {
-        const magSq = v.magnitudeSquared();
-        if (magSq === 0) return new Vector2D(0, 0);
-        return v.multiply(this.dot(v) / magSq);
-    }
-
-    clampMagnitude(max) {
-        if (this.magnitude() > max) {
-            return this.normalize().multiply(max);
-        }
-        return new Vector2D(this.x, this.y);
-    }
-
-    toMutable() { return { x: this.x, y: this.y }; }
-    toString() { return `Vector2D(${this.x.toFixed(2)}, ${this.y.toFixed(2)})`; }
-    toArray() { return [this.x, this.y]; }
-}
-
-// Color utilities
-class ColorUtils {
-    static hexToRgb(hex) {
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-        return result ? {
-            r: parseInt(result[1], 16),
-            g: parseInt(result[2], 16),
-            b: parseInt(result[3], 16)
-        } : { r: 0, g: 0, b: 0 };
-    }
-
-    static rgbToHex(r, g, b) {
-        const toHex = c => {
-            const hex = Math.round(Math.max(0, Math.min(255, c))).toString(16);
-            return hex.length === 1 ? '0' + hex : hex;
-        };
-        return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
-    }
-
-    static rgbToHsl(r, g, b) {
-        r /= 255; g /= 255; b /= 255;
-        const max = Math.max(r, g, b);
-        const min = Math.min(r, g, b);
-        let h, s;
-        const l = (max + min) / 2;
-
-        if (max === min) {
-            h = s = 0;
-        } else {
-            const d = max - min;
-            s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-            switch (max) {
-                case r: h = ((g - b) / d + (g < b ? 6 : 0)) / 6; break;
-                case g: h = ((b - r) / d + 2) / 6; break;
-                case b: h = ((r - g) / d + 4) / 6; break;
-            }
-        }
-        return { h: Math.round(h * 360), s: Math.round(s * 100), l: Math.round(l * 100) };
-    }
-
-    static hslToRgb(h, s, l) {
-        h /= 360; s /= 100; l /= 100;
-        let r, g, b;
-
-        if (s === 0) {
-            r = g = b = l;
-        } else {
-            const hue2rgb = (p, q, t) => {
-                if (t < 0) t += 1;
-                if (t > 1) t -= 1;
-                if (t < 1/6) return p + (q - p) * 6 * t;
-                if (t < 1/2) return q;
-                if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
-                return p;
-            };
-            const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-            const p = 2 * l - q;
-            r = hue2rgb(p, q, h + 1/3);
-            g = hue2rgb(p, q, h);
-            b = hue2rgb(p, q, h - 1/3);
-        }
-        return { r: Math.round(r * 255), g: Math.round(g * 255), b: Math.round(b * 255) };
-    }
-
-    static lerp(color1, color2, t) {
-        const c1 = this.hexToRgb(color1);
-        const c2 = this.hexToRgb(color2);
-        const ct = Math.max(0, Math.min(1, t));
-        return this.rgbToHex(
-            c1.r + (c2.r - c1.r) * ct,
-            c1.g + (c2.g - c1.g) * ct,
-            c1.b + (c2.b - c1.b) * ct
-        );
-    }
-
-    static rgba(r, g, b, a) {
-        return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${a})`;
-    }
-
-    static hsla(h, s, l, a) {
-        return `hsla(${h}, ${s}%, ${l}%, ${a})`;
-    }
-
-    static gradient(t, colors) {
-        if (colors.length === 0) return '#ffffff';
-        if (colors.length === 1) return colors[0];
-        
-        const ct = Math.max(0, Math.min(1, t));
-        const segments = colors.length - 1;
-        const segment = Math.min(Math.floor(ct * segments), segments - 1);
-        const localT = (ct * segments) - segment;
-        
-        return this.lerp(colors[segment], colors[segment + 1], localT);
-    }
-}
-
-// General utilities
-const Utils = {
-    clamp(val, min, max) {
-        return Math.max(min, Math.min(max, val));
-    },
-
-    lerp(a, b, t) {
-        return a + (b - a) * this.clamp(t, 0, 1);
-    },
-
-    inverseLerp(a, b, val) {
-        if (a === b) return 0;
-        return this.clamp((val - a) / (b - a), 0, 1);
-    },
-
-    map(val, inMin, inMax, outMin, outMax) {
-        return this.lerp(outMin, outMax, this.inverseLerp(inMin, inMax, val));
-    },
-
-    smoothstep(t) {
-        const x = this.clamp(t, 0, 1);
-        return x * x * (3 - 2 * x);
-    },
-
-    smootherstep(t) {
-        const x = this.clamp(t, 0, 1);
-        return x * x * x * (x * (x * 6 - 15) + 10);
-    },
-
-    degToRad(deg) { return deg * (Math.PI / 180); },
-    radToDeg(rad) { return rad * (180 / Math.PI); },
-
-    random(min, max) {
-        return Math.random() * (max - min) + min;
-    },
-
-    randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
-    },
-
-    debounce(func, wait) {
-        let timeout;
-        return function(...args) {
-            clearTimeout(timeout);
-            timeout = setTimeout(() => func(...args), wait);
-        };
-    },
-
-    throttle(func, limit) {
-        let inThrottle;
-        return function(...args) {
-            if (!inThrottle) {
-                func(...args);
-                inThrottle = true;
-                setTimeout(() => inThrottle = false, limit);
-            }
-        };
-    },
-
-    formatNumber(val, decimals = 2) {
-        return val.toFixed(decimals);
-    },
-
-    pointInCircle(px, py, cx, cy, r) {
-        const dx = px - cx, dy = py - cy;
-        return dx * dx + dy * dy <= r * r;
-    },
-
-    now() { return performance.now(); },
-
-    createFPSCounter() {
-        let frames = 0, lastTime = performance.now(), fps = 60;
-        return {
-            update() {
-                frames++;
-                const now = performance.now();
-                const elapsed = now - lastTime;
-                if (elapsed >= 1000) {
-                    fps = Math.round((frames * 1000) / elapsed);
-                    frames = 0;
-                    lastTime = now;
-                }
-                return fps;
-            },
-            get fps() { return fps; }
-        };
-    }
-};
-
-// Canvas helpers
-const CanvasUtils = {
-    setupHiDPI(canvas, width, height) {
-        const dpr = window.devicePixelRatio || 1;
-        canvas.width = width * dpr;
-        canvas.height = height * dpr;
-        canvas.style.width = width + 'px';
-        canvas.style.height = height + 'px';
-        const ctx = canvas.getContext('2d');
-        ctx.scale(dpr, dpr);
-        return ctx;
-    },
-
-    clear(ctx, width, height, fill = '#000000') {
-        ctx.fillStyle = fill;
-        ctx.fillRect(0, 0, width, height);
-    },
-
-    createRadialGradient(ctx, x, y, r1, r2, colorStops) {
-        const gradient = ctx.createRadialGradient(x, y, r1, x, y, r2);
-        colorStops.forEach(([pos, color]) => gradient.addColorStop(pos, color));
-        return gradient;
-    },
-
-    createLinearGradient(ctx, x1, y1, x2, y2, colorStops) {
-        const gradient = ctx.createLinearGradient(x1, y1, x2, y2);
-        colorStops.forEach(([pos, color]) => gradient.addColorStop(pos, color));
-        return gradient;
-    },
-
-    drawGlowingCircle(ctx, x, y, radius, color, glowRadius = 0, glowColor = null) {
-        ctx.save();
-        if (glowRadius > 0) {
-            ctx.shadowBlur = glowRadius;
-            ctx.shadowColor = glowColor || color;
-        }
-        ctx.beginPath();
-        ctx.arc(x, y, radius, 0, Math.PI * 2);
-        ctx.fillStyle = color;
-        ctx.fill();
-        ctx.restore();
-    },
-
-    drawGlowingLine(ctx, x1, y1, x2, y2, color, lineWidth = 2, glowRadius = 0) {
-        ctx.save();
-        if (glowRadius > 0) {
-            ctx.shadowBlur = glowRadius;
-            ctx.shadowColor = color;
-        }
-        ctx.beginPath();
-        ctx.moveTo(x1, y1);
-        ctx.lineTo(x2, y2);
-        ctx.strokeStyle = color;
-        ctx.lineWidth = lineWidth;
-        ctx.lineCap = 'round';
-        ctx.stroke();
-        ctx.restore();
-    }
-};
-
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Vector2D, ColorUtils, Utils, CanvasUtils };
-}
+'use strict';
+
+// 2D Vector class
+class Vector2D {
+    constructor(x = 0, y = 0) {
+        this.x = x;
+        this.y = y;
+        Object.freeze(this);
+    }
+
+    static zero() { return new Vector2D(0, 0); }
+    static right() { return new Vector2D(1, 0); }
+    static up() { return new Vector2D(0, -1); }
+
+    static fromAngle(angle, magnitude = 1) {
+        return new Vector2D(
+            Math.cos(angle) * magnitude,
+            Math.sin(angle) * magnitude
+        );
+    }
+
+    static fromObject(obj) {
+        return new Vector2D(obj.x || 0, obj.y || 0);
+    }
+
+    static lerp(a, b, t) {
+        const ct = Math.max(0, Math.min(1, t));
+        return new Vector2D(
+            a.x + (b.x - a.x) * ct,
+            a.y + (b.y - a.y) * ct
+        );
+    }
+
+    add(v) { return new Vector2D(this.x + v.x, this.y + v.y); }
+    subtract(v) { return new Vector2D(this.x - v.x, this.y - v.y); }
+    multiply(s) { return new Vector2D(this.x * s, this.y * s); }
+    
+    divide(s) {
+        if (s === 0) return new Vector2D(0, 0);
+        return new Vector2D(this.x / s, this.y / s);
+    }
+
+    negate() { return new Vector2D(-this.x, -this.y); }
+    magnitude() { return Math.sqrt(this.x * this.x + this.y * this.y); }
+    magnitudeSquared() { return this.x * this.x + this.y * this.y; }
+
+    normalize() {
+        const mag = this.magnitude();
+        if (mag === 0) return new Vector2D(0, 0);
+        return this.divide(mag);
+    }
+
+    angle() { return Math.atan2(this.y, this.x); }
+    dot(v) { return this.x * v.x + this.y * v.y; }
+    cross(v) { return this.x * v.y - this.y * v.x; }
+
+    distanceTo(v) {
+        const dx = this.x - v.x;
+        const dy = this.y - v.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    distanceSquaredTo(v) {
+        const dx = this.x - v.x;
+        const dy = this.y - v.y;
+        return dx * dx + dy * dy;
+    }
+
+    equals(v, epsilon = 0.0001) {
+        return Math.abs(this.x - v.x) < epsilon && Math.abs(this.y - v.y) < epsilon;
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return new Vector2D(
+            this.x * cos - this.y * sin,
+            this.x * sin + this.y * cos
+        );
+    }
+
+    perpendicular() { return new Vector2D(-this.y, this.x); }
+
+    reflect(normal) {
+        const n = normal.normalize();
+        return this.subtract(n.multiply(2 * this.dot(n)));
+    }
+
+    projectOnto(v) {
+        const magSq = v.magnitudeSquared();
+        if (magSq === 0) return new Vector2D(0, 0);
+        return v.multiply(this.dot(v) / magSq);
+    }
+
+    clampMagnitude(max) {
+        if (this.magnitude() > max) {
+            return this.normalize().multiply(max);
+        }
+        return new Vector2D(this.x, this.y);
+    }
+
+    toMutable() { return { x: this.x, y: this.y }; }
+    toString() { return `Vector2D(${this.x.toFixed(2)}, ${this.y.toFixed(2)})`; }
+    toArray() { return [this.x, this.y]; }
+}
+
+// 3D Vector class - mirrors the Vector2D API so curve and spring code can use either
+class Vector3D {
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        Object.freeze(this);
+    }
+
+    static zero() { return new Vector3D(0, 0, 0); }
+    static right() { return new Vector3D(1, 0, 0); }
+    static up() { return new Vector3D(0, -1, 0); }
+    static forward() { return new Vector3D(0, 0, 1); }
+
+    static fromObject(obj) {
+        return new Vector3D(obj.x || 0, obj.y || 0, obj.z || 0);
+    }
+
+    static fromVector2D(v, z = 0) {
+        return new Vector3D(v.x, v.y, z);
+    }
+
+    static lerp(a, b, t) {
+        const ct = Math.max(0, Math.min(1, t));
+        return new Vector3D(
+            a.x + (b.x - a.x) * ct,
+            a.y + (b.y - a.y) * ct,
+            a.z + (b.z - a.z) * ct
+        );
+    }
+
+    add(v) { return new Vector3D(this.x + v.x, this.y + v.y, this.z + (v.z || 0)); }
+    subtract(v) { return new Vector3D(this.x - v.x, this.y - v.y, this.z - (v.z || 0)); }
+    multiply(s) { return new Vector3D(this.x * s, this.y * s, this.z * s); }
+
+    divide(s) {
+        if (s === 0) return new Vector3D(0, 0, 0);
+        return new Vector3D(this.x / s, this.y / s, this.z / s);
+    }
+
+    negate() { return new Vector3D(-this.x, -this.y, -this.z); }
+    magnitude() { return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z); }
+    magnitudeSquared() { return this.x * this.x + this.y * this.y + this.z * this.z; }
+
+    normalize() {
+        const mag = this.magnitude();
+        if (mag === 0) return new Vector3D(0, 0, 0);
+        return this.divide(mag);
+    }
+
+    dot(v) { return this.x * v.x + this.y * v.y + this.z * v.z; }
+
+    cross(v) {
+        return new Vector3D(
+            this.y * v.z - this.z * v.y,
+            this.z * v.x - this.x * v.z,
+            this.x * v.y - this.y * v.x
+        );
+    }
+
+    distanceTo(v) { return Math.sqrt(this.distanceSquaredTo(v)); }
+
+    distanceSquaredTo(v) {
+        const dx = this.x - v.x;
+        const dy = this.y - v.y;
+        const dz = this.z - v.z;
+        return dx * dx + dy * dy + dz * dz;
+    }
+
+    equals(v, epsilon = 0.0001) {
+        return Math.abs(this.x - v.x) < epsilon &&
+               Math.abs(this.y - v.y) < epsilon &&
+               Math.abs(this.z - v.z) < epsilon;
+    }
+
+    rotateX(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return new Vector3D(this.x, this.y * cos - this.z * sin, this.y * sin + this.z * cos);
+    }
+
+    rotateY(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return new Vector3D(this.x * cos + this.z * sin, this.y, -this.x * sin + this.z * cos);
+    }
+
+    rotateZ(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return new Vector3D(this.x * cos - this.y * sin, this.x * sin + this.y * cos, this.z);
+    }
+
+    projectOnto(v) {
+        const magSq = v.magnitudeSquared();
+        if (magSq === 0) return new Vector3D(0, 0, 0);
+        return v.multiply(this.dot(v) / magSq);
+    }
+
+    clampMagnitude(max) {
+        if (this.magnitude() > max) {
+            return this.normalize().multiply(max);
+        }
+        return new Vector3D(this.x, this.y, this.z);
+    }
+
+    toVector2D() { return new Vector2D(this.x, this.y); }
+    toMutable() { return { x: this.x, y: this.y, z: this.z }; }
+    toString() { return `Vector3D(${this.x.toFixed(2)}, ${this.y.toFixed(2)}, ${this.z.toFixed(2)})`; }
+    toArray() { return [this.x, this.y, this.z]; }
+}
+
+// Color utilities
+class ColorUtils {
+    static hexToRgb(hex) {
+        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+        return result ? {
+            r: parseInt(result[1], 16),
+            g: parseInt(result[2], 16),
+            b: parseInt(result[3], 16)
+        } : { r: 0, g: 0, b: 0 };
+    }
+
+    static rgbToHex(r, g, b) {
+        const toHex = c => {
+            const hex = Math.round(Math.max(0, Math.min(255, c))).toString(16);
+            return hex.length === 1 ? '0' + hex : hex;
+        };
+        return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+    }
+
+    static rgbToHsl(r, g, b) {
+        r /= 255; g /= 255; b /= 255;
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        let h, s;
+        const l = (max + min) / 2;
+
+        if (max === min) {
+            h = s = 0;
+        } else {
+            const d = max - min;
+            s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+            switch (max) {
+                case r: h = ((g - b) / d + (g < b ? 6 : 0)) / 6; break;
+                case g: h = ((b - r) / d + 2) / 6; break;
+                case b: h = ((r - g) / d + 4) / 6; break;
+            }
+        }
+        return { h: Math.round(h * 360), s: Math.round(s * 100), l: Math.round(l * 100) };
+    }
+
+    static hslToRgb(h, s, l) {
+        h /= 360; s /= 100; l /= 100;
+        let r, g, b;
+
+        if (s === 0) {
+            r = g = b = l;
+        } else {
+            const hue2rgb = (p, q, t) => {
+                if (t < 0) t += 1;
+                if (t > 1) t -= 1;
+                if (t < 1/6) return p + (q - p) * 6 * t;
+                if (t < 1/2) return q;
+                if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
+                return p;
+            };
+            const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+            const p = 2 * l - q;
+            r = hue2rgb(p, q, h + 1/3);
+            g = hue2rgb(p, q, h);
+            b = hue2rgb(p, q, h - 1/3);
+        }
+        return { r: Math.round(r * 255), g: Math.round(g * 255), b: Math.round(b * 255) };
+    }
+
+    static lerp(color1, color2, t) {
+        const c1 = this.hexToRgb(color1);
+        const c2 = this.hexToRgb(color2);
+        const ct = Math.max(0, Math.min(1, t));
+        return this.rgbToHex(
+            c1.r + (c2.r - c1.r) * ct,
+            c1.g + (c2.g - c1.g) * ct,
+            c1.b + (c2.b - c1.b) * ct
+        );
+    }
+
+    static rgba(r, g, b, a) {
+        return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${a})`;
+    }
+
+    static hsla(h, s, l, a) {
+        return `hsla(${h}, ${s}%, ${l}%, ${a})`;
+    }
+
+    static gradient(t, colors) {
+        if (colors.length === 0) return '#ffffff';
+        if (colors.length === 1) return colors[0];
+        
+        const ct = Math.max(0, Math.min(1, t));
+        const segments = colors.length - 1;
+        const segment = Math.min(Math.floor(ct * segments), segments - 1);
+        const localT = (ct * segments) - segment;
+        
+        return this.lerp(colors[segment], colors[segment + 1], localT);
+    }
+}
+
+// General utilities
+const Utils = {
+    clamp(val, min, max) {
+        return Math.max(min, Math.min(max, val));
+    },
+
+    lerp(a, b, t) {
+        return a + (b - a) * this.clamp(t, 0, 1);
+    },
+
+    inverseLerp(a, b, val) {
+        if (a === b) return 0;
+        return this.clamp((val - a) / (b - a), 0, 1);
+    },
+
+    map(val, inMin, inMax, outMin, outMax) {
+        return this.lerp(outMin, outMax, this.inverseLerp(inMin, inMax, val));
+    },
+
+    smoothstep(t) {
+        const x = this.clamp(t, 0, 1);
+        return x * x * (3 - 2 * x);
+    },
+
+    smootherstep(t) {
+        const x = this.clamp(t, 0, 1);
+        return x * x * x * (x * (x * 6 - 15) + 10);
+    },
+
+    degToRad(deg) { return deg * (Math.PI / 180); },
+    radToDeg(rad) { return rad * (180 / Math.PI); },
+
+    random(min, max) {
+        return Math.random() * (max - min) + min;
+    },
+
+    randomInt(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    },
+
+    // Seeded PRNG (mulberry32) returning floats in [0, 1); same seed, same sequence
+    createRandom(seed = 1) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let r = Math.imul(state ^ (state >>> 15), 1 | state);
+            r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+            return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    debounce(func, wait) {
+        let timeout;
+        return function(...args) {
+            clearTimeout(timeout);
+            timeout = setTimeout(() => func(...args), wait);
+        };
+    },
+
+    throttle(func, limit) {
+        let inThrottle;
+        return function(...args) {
+            if (!inThrottle) {
+                func(...args);
+                inThrottle = true;
+                setTimeout(() => inThrottle = false, limit);
+            }
+        };
+    },
+
+    formatNumber(val, decimals = 2) {
+        return val.toFixed(decimals);
+    },
+
+    pointInCircle(px, py, cx, cy, r) {
+        const dx = px - cx, dy = py - cy;
+        return dx * dx + dy * dy <= r * r;
+    },
+
+    // Real roots of a t² + b t + c, falling back to the linear case when a ≈ 0
+    quadraticRoots(a, b, c, epsilon = 1e-12) {
+        if (Math.abs(a) < epsilon) {
+            if (Math.abs(b) < epsilon) return [];
+            return [-c / b];
+        }
+        const disc = b * b - 4 * a * c;
+        if (disc < 0) return [];
+        if (disc === 0) return [-b / (2 * a)];
+        // Avoids cancellation between -b and the root of the discriminant
+        const q = -0.5 * (b + Math.sign(b || 1) * Math.sqrt(disc));
+        return [q / a, c / q];
+    },
+
+    // Horner evaluation; coefficients are in ascending order (c0 + c1 t + c2 t² ...)
+    evaluatePolynomial(coeffs, t) {
+        let result = 0;
+        for (let i = coeffs.length - 1; i >= 0; i--) result = result * t + coeffs[i];
+        return result;
+    },
+
+    // Real roots of a polynomial inside [min, max]. The roots of the derivative
+    // split the range into monotone pieces, each holding at most one root, which
+    // bisection then pins down - robust for the low degrees curves produce.
+    polynomialRoots(coeffs, min = 0, max = 1) {
+        const scale = Math.max(...coeffs.map(Math.abs));
+        if (scale === 0) return [];
+        const c = coeffs.slice();
+        while (c.length > 1 && Math.abs(c[c.length - 1]) < scale * 1e-12) c.pop();
+
+        const degree = c.length - 1;
+        if (degree === 0) return [];
+        if (degree <= 2) {
+            const roots = degree === 1 ? [-c[0] / c[1]] : this.quadraticRoots(c[2], c[1], c[0]);
+            return roots.filter(t => t >= min && t <= max).sort((a, b) => a - b);
+        }
+
+        const derivative = c.slice(1).map((v, i) => v * (i + 1));
+        const bounds = [min, ...this.polynomialRoots(derivative, min, max), max];
+        const roots = [];
+
+        for (let i = 0; i < bounds.length - 1; i++) {
+            let a = bounds[i], b = bounds[i + 1];
+            let fa = this.evaluatePolynomial(c, a);
+            const fb = this.evaluatePolynomial(c, b);
+            if (fa === 0) { roots.push(a); continue; }
+            if (fa * fb > 0) continue;
+            for (let iter = 0; iter < 64 && b - a > 1e-14; iter++) {
+                const m = (a + b) / 2;
+                const fm = this.evaluatePolynomial(c, m);
+                if (fa * fm <= 0) b = m;
+                else { a = m; fa = fm; }
+            }
+            roots.push((a + b) / 2);
+        }
+        if (this.evaluatePolynomial(c, max) === 0) roots.push(max);
+
+        return roots.filter((t, i) => i === 0 || t - roots[i - 1] > 1e-10);
+    },
+
+    // Andrew's monotone chain; returns the hull counter-clockwise (in y-up terms)
+    convexHull(points) {
+        const pts = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+        if (pts.length < 3) return pts;
+
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const lower = [];
+        for (const p of pts) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+            lower.push(p);
+        }
+        const upper = [];
+        for (let i = pts.length - 1; i >= 0; i--) {
+            const p = pts[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+            upper.push(p);
+        }
+        lower.pop();
+        upper.pop();
+        return lower.concat(upper);
+    },
+
+    now() { return performance.now(); },
+
+    download(filename, data, type = 'application/octet-stream') {
+        const blob = data instanceof Blob ? data : new Blob([data], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    createFPSCounter() {
+        let frames = 0, lastTime = performance.now(), fps = 60;
+        return {
+            update() {
+                frames++;
+                const now = performance.now();
+                const elapsed = now - lastTime;
+                if (elapsed >= 1000) {
+                    fps = Math.round((frames * 1000) / elapsed);
+                    frames = 0;
+                    lastTime = now;
+                }
+                return fps;
+            },
+            get fps() { return fps; }
+        };
+    }
+};
+
+// Canvas helpers
+const CanvasUtils = {
+    setupHiDPI(canvas, width, height) {
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = width * dpr;
+        canvas.height = height * dpr;
+        canvas.style.width = width + 'px';
+        canvas.style.height = height + 'px';
+        const ctx = canvas.getContext('2d');
+        ctx.scale(dpr, dpr);
+        return ctx;
+    },
+
+    clear(ctx, width, height, fill = '#000000') {
+        ctx.fillStyle = fill;
+        ctx.fillRect(0, 0, width, height);
+    },
+
+    createRadialGradient(ctx, x, y, r1, r2, colorStops) {
+        const gradient = ctx.createRadialGradient(x, y, r1, x, y, r2);
+        colorStops.forEach(([pos, color]) => gradient.addColorStop(pos, color));
+        return gradient;
+    },
+
+    createLinearGradient(ctx, x1, y1, x2, y2, colorStops) {
+        const gradient = ctx.createLinearGradient(x1, y1, x2, y2);
+        colorStops.forEach(([pos, color]) => gradient.addColorStop(pos, color));
+        return gradient;
+    },
+
+    drawGlowingCircle(ctx, x, y, radius, color, glowRadius = 0, glowColor = null) {
+        ctx.save();
+        if (glowRadius > 0) {
+            ctx.shadowBlur = glowRadius;
+            ctx.shadowColor = glowColor || color;
+        }
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.restore();
+    },
+
+    drawGlowingLine(ctx, x1, y1, x2, y2, color, lineWidth = 2, glowRadius = 0) {
+        ctx.save();
+        if (glowRadius > 0) {
+            ctx.shadowBlur = glowRadius;
+            ctx.shadowColor = color;
+        }
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = lineWidth;
+        ctx.lineCap = 'round';
+        ctx.stroke();
+        ctx.restore();
+    }
+};
+
+// Perspective camera orbiting a target point. At zoom 1 with no rotation the
+// z = 0 plane maps 1:1 onto the screen, so 2D and 3D scenes line up.
+class OrbitCamera {
+    constructor(config = {}) {
+        this.fov = config.fov ?? Math.PI / 4;
+        this.yaw = config.yaw ?? 0;
+        this.pitch = config.pitch ?? 0;
+        this.zoom = config.zoom ?? 1;
+        this.minZoom = config.minZoom ?? 0.2;
+        this.maxZoom = config.maxZoom ?? 5;
+        this.near = config.near ?? 10;
+        this.target = config.target || new Vector3D(0, 0, 0);
+        this.width = config.width || 800;
+        this.height = config.height || 600;
+        this.focal = this.computeFocal();
+    }
+
+    computeFocal() {
+        return (this.height / 2) / Math.tan(this.fov / 2);
+    }
+
+    get distance() { return this.focal / this.zoom; }
+
+    resize(width, height) {
+        const scaleX = width / this.width;
+        const scaleY = height / this.height;
+        this.width = width;
+        this.height = height;
+        this.focal = this.computeFocal();
+        this.target = new Vector3D(this.target.x * scaleX, this.target.y * scaleY, this.target.z);
+    }
+
+    reset(target) {
+        this.yaw = 0;
+        this.pitch = 0;
+        this.zoom = 1;
+        this.target = target || new Vector3D(this.width / 2, this.height / 2, 0);
+    }
+
+    orbit(deltaYaw, deltaPitch) {
+        const limit = Math.PI / 2 - 0.01;
+        this.yaw += deltaYaw;
+        this.pitch = Math.max(-limit, Math.min(limit, this.pitch + deltaPitch));
+    }
+
+    zoomBy(factor) {
+        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.zoom * factor));
+    }
+
+    // Moves the orbit target by a screen-space delta in pixels
+    pan(dx, dy) {
+        const scale = this.distance / this.focal;
+        this.target = this.target.subtract(this.viewToWorldDirection(dx * scale, dy * scale));
+    }
+
+    worldToView(point) {
+        return point.subtract(this.target).rotateY(-this.yaw).rotateX(-this.pitch);
+    }
+
+    viewToWorld(point) {
+        return point.rotateX(this.pitch).rotateY(this.yaw).add(this.target);
+    }
+
+    // World-space direction for a displacement along the screen axes
+    viewToWorldDirection(dx, dy, dz = 0) {
+        return new Vector3D(dx, dy, dz).rotateX(this.pitch).rotateY(this.yaw);
+    }
+
+    project(point) {
+        const v = this.worldToView(point);
+        const depth = this.distance + v.z;
+        const visible = depth > this.near;
+        const scale = this.focal / Math.max(depth, this.near);
+        return {
+            x: this.width / 2 + v.x * scale,
+            y: this.height / 2 + v.y * scale,
+            depth,
+            scale,
+            visible
+        };
+    }
+
+    // Inverse of project() on the view-parallel plane passing through `reference`
+    unproject(screenX, screenY, reference) {
+        const refView = reference ? this.worldToView(reference) : new Vector3D(0, 0, 0);
+        const depth = Math.max(this.distance + refView.z, this.near);
+        const scale = depth / this.focal;
+        return this.viewToWorld(new Vector3D(
+            (screenX - this.width / 2) * scale,
+            (screenY - this.height / 2) * scale,
+            refView.z
+        ));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Vector2D, Vector3D, ColorUtils, Utils, CanvasUtils, OrbitCamera };
+}
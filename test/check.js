@@ -0,0 +1,119 @@
+'use strict';
+
+// Headless checks of the curve math and the seeded simulation: node test/check.js
+const assert = require('assert');
+const { Vector2D, Utils } = require('../js/utils.js');
+const { CubicBezier, InteractiveBezier } = require('../js/bezier-math.js');
+const { Scene } = require('../js/scene.js');
+
+const v = (x, y) => new Vector2D(x, y);
+const close = (actual, expected, tolerance, what) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${what}: ${actual} is not within ${tolerance} of ${expected}`);
+};
+
+const checks = {
+    'arc length of a straight cubic is its chord'() {
+        const bent = new CubicBezier(v(0, 0), v(10, 0), v(20, 0), v(30, 40));
+        const straight = new CubicBezier(v(0, 0), v(10, 10), v(20, 20), v(30, 30));
+        close(straight.arcLength(), Math.hypot(30, 30), 1e-6, 'diagonal');
+        assert.ok(bent.arcLength() > 50, 'a bent curve is longer than its chord');
+    },
+
+    'arc length of a quarter circle'() {
+        const k = 4 * (Math.SQRT2 - 1) / 3 * 100;
+        const arc = new CubicBezier(v(100, 0), v(100, k), v(k, 100), v(0, 100));
+        close(arc.arcLength(), Math.PI * 50, 0.05, 'quarter circle');
+    },
+
+    'projection lands on the curve at its distance'() {
+        const curve = new CubicBezier(v(0, 0), v(100, 200), v(200, -100), v(300, 100));
+        const point = v(150, 80);
+        const hit = curve.project(point);
+        assert.ok(hit.point.distanceTo(curve.evaluate(hit.t)) < 1e-9, 'point is B(t)');
+        close(hit.distance, hit.point.distanceTo(point), 1e-9, 'distance');
+        for (let i = 0; i <= 200; i++) {
+            assert.ok(curve.evaluate(i / 200).distanceTo(point) >= hit.distance - 1e-9, `sample ${i} is closer`);
+        }
+    },
+
+    'line crossings'() {
+        const curve = new CubicBezier(v(0, 0), v(0, 100), v(100, 100), v(100, 0));
+        const hits = curve.intersectLine(v(-10, 50), v(110, 50));
+        assert.strictEqual(hits.length, 2);
+        hits.forEach(hit => close(hit.point.y, 50, 1e-9, 'crossing height'));
+    },
+
+    'curve crossings'() {
+        const a = new CubicBezier(v(0, 0), v(100, 0), v(0, 100), v(100, 100));
+        const b = new CubicBezier(v(0, 100), v(100, 100), v(0, 0), v(100, 0));
+        const hits = CubicBezier.intersectCurves(a, b);
+        assert.strictEqual(hits.length, 1);
+        assert.ok(hits[0].point.distanceTo(v(50, 50)) < 0.05, 'crossing at the centre');
+        assert.ok(a.evaluate(hits[0].t).distanceTo(b.evaluate(hits[0].u)) < 0.05, 'both parameters meet');
+    },
+
+    'self-intersection of a loop'() {
+        const loop = new CubicBezier(v(0, 0), v(200, 100), v(-100, 100), v(100, 0));
+        const hits = loop.selfIntersections();
+        assert.strictEqual(hits.length, 1);
+        assert.ok(loop.evaluate(hits[0].t).distanceTo(loop.evaluate(hits[0].u)) < 0.05, 'both parameters meet');
+        assert.strictEqual(new CubicBezier(v(0, 0), v(30, 50), v(70, 50), v(100, 0)).selfIntersections().length, 0);
+    },
+
+    'timing functions'() {
+        const ease = CubicBezier.fromTimingFunction([0.25, 0.1, 0.25, 1]);
+        assert.deepStrictEqual(ease.timingFunction().map(n => +n.toFixed(9)), [0.25, 0.1, 0.25, 1]);
+        [0.1, 0.5, 0.9].forEach(x => close(ease.evaluate(ease.solveTForX(x)).x, x, 1e-6, `x = ${x}`));
+    },
+
+    'seeded runs repeat exactly'() {
+        const random = Utils.createRandom(7);
+        const frames = [];
+        for (let i = 0; i < 300; i++) {
+            frames.push({
+                dt: 1 / 60 + (random() - 0.5) * 0.01,
+                input: i % 10 === 0 ? { offset: [random() * 200 - 100, random() * 200 - 100] } : null
+            });
+        }
+        const run = config => {
+            const bezier = new InteractiveBezier({ width: 800, height: 600, seed: 3, ...config });
+            bezier.addForce({ type: 'wind', strength: 200, angle: 0, turbulence: 1 });
+            return JSON.stringify(bezier.simulate(frames).map(frame => frame.map(p => [p.x, p.y])));
+        };
+        assert.strictEqual(run({}), run({}), 'variable step');
+        assert.strictEqual(run({ deterministic: true }), run({ deterministic: true }), 'fixed step');
+        const variable = run({});
+        const deterministic = run({ deterministic: true });
+        frames.forEach(frame => { frame.dt *= 3; });
+        assert.notStrictEqual(run({}), variable, 'variable steps follow the frame dts');
+        assert.strictEqual(run({ deterministic: true }), deterministic, 'fixed steps ignore the frame dts');
+        assert.notStrictEqual(run({ seed: 4 }), run({}), 'the seed feeds the wind');
+    },
+
+    'malformed scenes are rejected whole'() {
+        const text = JSON.stringify(Scene.serialize([new InteractiveBezier({ width: 800, height: 600 })]));
+        assert.ok(Scene.parse(text).curves['2d'], 'a saved scene parses');
+        [
+            curve => { delete curve.springs.endpoints.pinned; },
+            curve => { curve.continuity.pop(); },
+            curve => { curve.anchors[0] = ['a', 0]; },
+            curve => { delete curve.network; }
+        ].forEach((damage, i) => {
+            const scene = JSON.parse(text);
+            damage(scene.curves['2d']);
+            assert.throws(() => Scene.parse(JSON.stringify(scene)), Error, `damage ${i}`);
+        });
+    }
+};
+
+let failed = 0;
+Object.entries(checks).forEach(([name, check]) => {
+    try {
+        check();
+        console.log(`ok   ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`FAIL ${name}\n     ${error.message}`);
+    }
+});
+process.exitCode = failed ? 1 : 0;